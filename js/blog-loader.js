@@ -1,13 +1,75 @@
 /**
  * Dynamic Blog Loader
- * Fetches blog posts from blog.mlc.ai and renders them dynamically
+ * Fetches posts from the MLC blog and other sources (see post-sources.js)
+ * and renders them dynamically
  */
 
 class BlogLoader {
-    constructor() {
+    constructor(options = {}) {
         this.posts = [];
         this.categories = new Set();
         this.currentCategory = 'all';
+        this.authors = new Map();
+        this.currentAuthor = 'all';
+        this.currentPeriod = 'all';
+        this.currentSource = 'all';
+        this.searchQuery = '';
+        this.searchIndex = null;
+        this.currentPage = 1;
+        this.pageSize = options.pageSize || 9;
+        this.relatedCount = options.relatedCount || 3;
+
+        // Feeds are tried in order; the homepage scraper is only a fallback
+        this.blogUrl = options.blogUrl || 'https://blog.mlc.ai/';
+        this.feedUrls = options.feedUrls || [
+            'https://blog.mlc.ai/feed.xml',
+            'https://blog.mlc.ai/rss.xml'
+        ];
+        this.feedParser = new FeedParser();
+
+        // Requests share one queue with a concurrency limit, timeouts and retries
+        this.scheduler = options.scheduler ||
+            (typeof window !== 'undefined' && window.mlcFetch) ||
+            new FetchScheduler();
+        this.github = options.github ||
+            (typeof window !== 'undefined' && window.mlcGitHub) ||
+            new GitHubClient({ scheduler: this.scheduler });
+
+        // Where posts come from, in priority order (the MLC blog first)
+        this.sources = options.sources || PostSource.createDefaults({
+            blogUrl: this.blogUrl,
+            feedUrls: this.feedUrls
+        });
+        this.failedSources = [];
+
+        // Live posts are enriched one by one as their cards come into view
+        this.enriching = new Map();
+        this.cardObserver = null;
+        this.onPostsEnriched = null;
+        this.frontMatterParser = new FrontMatterParser();
+
+        // Raw Markdown sources of the posts (Jekyll _posts directory)
+        this.sourceBaseUrl = options.sourceBaseUrl || 'https://raw.githubusercontent.com/mlc-ai/blog/main/_posts/';
+
+        // The static index is the default source; live fetching is opt-in
+        // (pass { liveRefresh: true } or open the page with ?refresh)
+        this.indexUrl = options.indexUrl || 'data/posts.json';
+        this.liveRefresh = options.liveRefresh !== undefined
+            ? options.liveRefresh
+            : typeof window !== 'undefined' && new URLSearchParams(window.location.search).has('refresh');
+
+        // Cached posts render immediately and are revalidated after the TTL
+        this.cache = options.cache || (typeof window !== 'undefined' ? window.mlcCache : null);
+        this.cacheTtl = options.cacheTtl || 60 * 60 * 1000;
+
+        // Reading speeds for read-time estimates: code is read more slowly
+        // than prose, and each image or figure adds a fixed number of seconds
+        this.readingSpeed = {
+            proseWpm: 230,
+            codeWpm: 100,
+            secondsPerFigure: 12,
+            ...options.readingSpeed
+        };
     }
 
     /**
@@ -48,12 +110,129 @@ class BlogLoader {
     }
 
     /**
-     * Fetch and parse blog posts from blog.mlc.ai
+     * Sort posts by date descending (newest first)
+     */
+    sortPostsByDate(posts) {
+        return posts.sort((a, b) => {
+            if (!a.date && !b.date) return 0;
+            if (!a.date) return 1;
+            if (!b.date) return -1;
+            return new Date(b.date) - new Date(a.date);
+        });
+    }
+
+    /**
+     * Convert a parsed feed entry into a post object
+     */
+    postFromFeedEntry(entry) {
+        return {
+            title: entry.title,
+            url: entry.url,
+            date: entry.date,
+            formattedDate: this.formatDate(entry.date || entry.rawDate),
+            rawDate: entry.rawDate,
+            excerpt: entry.summary,
+            content: entry.content,
+            coverImage: entry.image || null,
+            authors: entry.authors,
+            categories: entry.categories
+        };
+    }
+
+    /**
+     * Fetch and parse blog posts from an Atom or RSS feed
+     */
+    async fetchPostsFromFeed(feedUrl) {
+        const response = await this.scheduler.fetch(feedUrl);
+        if (!response.ok) throw new Error(`Failed to fetch feed ${feedUrl}: ${response.status}`);
+
+        const xml = await response.text();
+        const baseUrl = typeof window !== 'undefined' ? window.location.href : this.blogUrl;
+        const feed = this.feedParser.parse(xml, new URL(feedUrl, baseUrl).href);
+
+        const posts = feed.entries
+            .filter(entry => entry.title && entry.url)
+            .map(entry => this.postFromFeedEntry(entry));
+
+        return this.sortPostsByDate(posts);
+    }
+
+    /**
+     * Fetch posts from every source (or the given ones), then merge them.
+     * A failing source is skipped so the others still show up, and is
+     * remembered in failedSources for a retry.
+     */
+    async fetchPosts(sources = this.sources) {
+        const { results, failed } = await FetchScheduler.settle(sources, async source => {
+            const posts = await source.fetchPosts(this);
+            return posts.map(post => ({ ...post, source: source.id }));
+        });
+
+        failed.forEach(({ item, error }) => console.warn(`Post source ${item.id} unavailable:`, error));
+        this.failedSources = failed.map(({ item }) => item);
+
+        return this.mergePosts(results.flatMap(({ value }) => value));
+    }
+
+    /**
+     * Look up a post source by id
+     */
+    getSource(id) {
+        return this.sources.find(source => source.id === id) || null;
+    }
+
+    /**
+     * Comparable form of a post URL (no scheme, www, index.html, query or trailing slash)
+     */
+    getPostUrlKey(url) {
+        return String(url || '')
+            .toLowerCase()
+            .replace(/[?#].*$/, '')
+            .replace(/^https?:\/\/(www\.)?/, '')
+            .replace(/(\/index)?\.html?$/, '')
+            .replace(/\/+$/, '');
+    }
+
+    /**
+     * Comparable form of a post title (letters and digits only)
+     */
+    getPostTitleKey(title) {
+        return String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    }
+
+    /**
+     * Drop posts published by more than one source (same URL or title),
+     * keeping the copy from the highest-priority source, and sort by date
+     */
+    mergePosts(posts) {
+        const priority = id => {
+            const index = this.sources.findIndex(source => source.id === id);
+            return index === -1 ? this.sources.length : index;
+        };
+        const ordered = [...posts].sort((a, b) => priority(a.source) - priority(b.source));
+
+        const seenUrls = new Set();
+        const seenTitles = new Set();
+        const merged = ordered.filter(post => {
+            const urlKey = this.getPostUrlKey(post.url);
+            const titleKey = this.getPostTitleKey(post.title);
+            if (seenUrls.has(urlKey) || (titleKey && seenTitles.has(titleKey))) return false;
+
+            seenUrls.add(urlKey);
+            if (titleKey) seenTitles.add(titleKey);
+            return true;
+        });
+
+        return this.sortPostsByDate(merged);
+    }
+
+    /**
+     * Fallback adapter: scrape blog posts from a Jekyll blog homepage
      */
-    async fetchPostsFromBlog() {
+    async fetchPostsFromBlog(blogUrl = this.blogUrl) {
         try {
-            const response = await fetch('https://blog.mlc.ai/');
-            if (!response.ok) throw new Error('Failed to fetch blog.mlc.ai');
+            const response = await this.scheduler.fetch(blogUrl);
+            if (!response.ok) throw new Error(`Failed to fetch ${blogUrl}`);
             
             const html = await response.text();
             const parser = new DOMParser();
@@ -84,7 +263,7 @@ class BlogLoader {
                     }
                     
                     // Handle relative URLs
-                    const url = href.startsWith('http') ? href : `https://blog.mlc.ai${href}`;
+                    const url = new URL(href, blogUrl).href;
                     
                     // Find the date span (usually after <br />)
                     const spans = li.querySelectorAll('span');
@@ -116,29 +295,277 @@ class BlogLoader {
                 }
             });
             
-            // Sort by date descending (newest first)
-            posts.sort((a, b) => {
-                if (!a.date && !b.date) return 0;
-                if (!a.date) return 1;
-                if (!b.date) return -1;
-                return new Date(b.date) - new Date(a.date);
-            });
-            
-            return posts;
+            return this.sortPostsByDate(posts);
         } catch (error) {
-            console.error('Error fetching posts from blog.mlc.ai:', error);
+            console.error(`Error fetching posts from ${blogUrl}:`, error);
             throw error;
         }
     }
 
     /**
-     * Fetch excerpt and determine category from blog post content
+     * In-site reader route for a post (/2025/01/07/slug), or null when the
+     * URL doesn't follow the Jekyll date/slug pattern or the post's source
+     * has no Markdown for the reader
+     */
+    getPostRoute(post) {
+        const source = this.getSource(post.source);
+        if (source && !source.reader) return null;
+
+        const match = (post.url || '').match(/\/(\d{4}\/\d{2}\/\d{2}\/[^\/?#]+?)(?:\.html)?\/?(?:[?#].*)?$/);
+        return match ? `/${match[1]}` : null;
+    }
+
+    /**
+     * Link attributes for a post: the in-site reader when it can render the
+     * post, otherwise the original page in a new tab
+     */
+    getPostLinkAttrs(post) {
+        const route = this.getPostRoute(post);
+        return route
+            ? HtmlTemplate.html`href="blog.html#${route}"`
+            : HtmlTemplate.html`href="${post.url}" target="_blank" rel="noopener"`;
+    }
+
+    /**
+     * Build the raw Markdown source URL for a post
+     * (/2025/01/07/slug -> <sourceBaseUrl>2025-01-07-slug.md)
+     */
+    getPostSourceUrl(post) {
+        const route = this.getPostRoute(post);
+        if (!route) return null;
+
+        const [, year, month, day, slug] = route.split('/');
+        return `${this.sourceBaseUrl}${year}-${month}-${day}-${slug}.md`;
+    }
+
+    /**
+     * Fetch a post's Markdown source, or null if it is not available
+     */
+    async fetchPostSource(post) {
+        const sourceUrl = this.getPostSourceUrl(post);
+        if (!sourceUrl) return null;
+
+        try {
+            const response = await this.scheduler.fetch(sourceUrl);
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            console.warn(`Markdown source unavailable for ${post.title}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Normalize a front matter list (YAML list or Jekyll space-separated string)
+     */
+    toTermList(value) {
+        if (value === null || value === undefined || value === '') return [];
+
+        const items = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+        const terms = items
+            .filter(item => item !== null && item !== undefined)
+            .map(item => String(item).trim().toLowerCase())
+            .filter(Boolean);
+
+        return Array.from(new Set(terms));
+    }
+
+    /**
+     * Give a post its taxonomy: categories, tags and the primary category
+     */
+    withTaxonomy(post, categories, tags) {
+        const postCategories = this.toTermList(categories);
+        return {
+            ...post,
+            categories: postCategories,
+            tags: this.toTermList(tags),
+            category: postCategories[0] || null
+        };
+    }
+
+    /**
+     * Normalize authors from feeds, meta tags or front matter into
+     * [{ name, github, url }]. Accepts names ("A, B and C", "Name (@handle)"),
+     * lists, and objects with name/github/url fields.
+     */
+    toAuthorList(value) {
+        if (value === null || value === undefined || value === '') return [];
+
+        const githubHandle = url => {
+            const match = String(url || '').match(/^https?:\/\/(?:www\.)?github\.com\/([A-Za-z0-9-]+)\/?$/);
+            return match ? match[1] : null;
+        };
+
+        const fromString = text => String(text)
+            .split(/\s*(?:,|;|&|\band\b)\s*/)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const handleMatch = part.match(/^(.*?)\s*\(@([A-Za-z0-9-]+)\)$/);
+                if (handleMatch) {
+                    return { name: handleMatch[1] || handleMatch[2], github: handleMatch[2], url: null };
+                }
+                // A bare profile URL (e.g. article:author) only gives a handle
+                const handle = githubHandle(part);
+                if (handle) return { name: handle, github: handle, url: part };
+                return /^https?:\/\//.test(part) ? null : { name: part, github: null, url: null };
+            })
+            .filter(Boolean);
+
+        const fromObject = author => {
+            const url = author.url || author.uri || author.website || author.homepage || null;
+            const github = author.github || author.github_username || githubHandle(url);
+            const name = author.name || author.display_name || github;
+            return name ? [{ name: String(name).trim(), github: github ? String(github).replace(/^@/, '') : null, url }] : [];
+        };
+
+        const items = Array.isArray(value) ? value : [value];
+        const authors = items.flatMap(item => {
+            if (item === null || item === undefined) return [];
+            return typeof item === 'object' ? fromObject(item) : fromString(item);
+        });
+
+        // Keep the first occurrence of each author
+        const seen = new Set();
+        return authors.filter(author => {
+            const key = this.getAuthorKey(author);
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Stable key for an author, used in the ?author= filter
+     */
+    getAuthorKey(author) {
+        return (author.name || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * GitHub avatar for an author with a known handle, or null
+     */
+    getAuthorAvatarUrl(author, size = 64) {
+        return author.github ? `https://github.com/${encodeURIComponent(author.github)}.png?size=${size}` : null;
+    }
+
+    /**
+     * Render an author's avatar, falling back to their initials
+     */
+    renderAuthorAvatar(author, size = 24) {
+        const avatarUrl = this.getAuthorAvatarUrl(author, size * 2);
+        if (avatarUrl) {
+            return HtmlTemplate.html`<img class="author-avatar" src="${avatarUrl}" alt="" width="${size}" height="${size}" loading="lazy">`;
+        }
+
+        const initials = author.name
+            .split(/\s+/)
+            .map(word => word.charAt(0))
+            .join('')
+            .slice(0, 2)
+            .toUpperCase();
+        return HtmlTemplate.html`<span class="author-avatar author-initials" style="width: ${size}px; height: ${size}px;" aria-hidden="true">${initials}</span>`;
+    }
+
+    /**
+     * Render a post's authors as links to their author view
+     */
+    renderByline(post, { avatars = true } = {}) {
+        const authors = post.authors || [];
+        if (authors.length === 0) return '';
+
+        return HtmlTemplate.html`
+            <div class="blog-byline">
+                ${authors.map(author => HtmlTemplate.html`
+                    <a href="blog.html?author=${encodeURIComponent(this.getAuthorKey(author))}" class="author-link" data-author="${this.getAuthorKey(author)}">
+                        ${avatars ? this.renderAuthorAvatar(author) : ''}
+                        <span class="author-name">${author.name}</span>
+                    </a>
+                `)}
+            </div>
+        `;
+    }
+
+    /**
+     * Normalize cover image metadata (a URL, or an object such as
+     * jekyll-seo's { path, width, height }) to { url, width, height, alt }.
+     * Relative and {{ site.url }} paths resolve against the post URL.
+     */
+    toCoverImage(image, baseUrl) {
+        if (!image) return null;
+
+        const value = typeof image === 'object' ? image : { url: image };
+        const rawUrl = value.url || value.path || value.src || value.href;
+        if (!rawUrl) return null;
+
+        const siteUrl = this.blogUrl.replace(/\/$/, '');
+        let url;
+        try {
+            url = new URL(String(rawUrl).trim().replace(/\{\{\s*site\.(?:url|baseurl)\s*\}\}/g, siteUrl), baseUrl || this.blogUrl).href;
+        } catch (e) {
+            return null;
+        }
+        if (!/^https?:\/\//.test(url)) return null;
+
+        return {
+            url,
+            width: parseInt(value.width, 10) || null,
+            height: parseInt(value.height, 10) || null,
+            alt: value.alt ? String(value.alt) : ''
+        };
+    }
+
+    /**
+     * Find the first image in Markdown or HTML ( ![alt](src) or <img> )
+     */
+    findFirstImage(text, baseUrl) {
+        if (!text) return null;
+
+        const markdownMatch = text.match(/!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["'][^"']*["'])?\s*\)/);
+        const htmlMatch = text.match(/<img\b[^>]*>/i);
+
+        let image = null;
+        if (htmlMatch && (!markdownMatch || htmlMatch.index < markdownMatch.index)) {
+            const attr = name => {
+                const match = htmlMatch[0].match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+                return match ? FeedParser.decodeEntities(match[1] || match[2] || match[3] || '') : '';
+            };
+            image = { url: attr('src'), width: attr('width'), height: attr('height'), alt: attr('alt') };
+        } else if (markdownMatch) {
+            image = { url: markdownMatch[2], alt: markdownMatch[1] };
+        }
+
+        return this.toCoverImage(image, baseUrl);
+    }
+
+    /**
+     * Fetch excerpt and taxonomy from the post's Markdown source, falling back
+     * to feed data or the rendered post page
      */
     async enrichPostData(post) {
+        // Sources with their own metadata (e.g. release notes) enrich their posts
+        const postSource = this.getSource(post.source);
+        const sourceEnriched = postSource ? await postSource.enrichPost(post, this) : null;
+        if (sourceEnriched) return sourceEnriched;
+
+        const source = await this.fetchPostSource(post);
+        if (source) {
+            return this.enrichFromSource(post, source);
+        }
+
+        // Feed entries already carry a summary, so there is no page to crawl
+        if (post.excerpt) {
+            return this.enrichFromFeedData(post);
+        }
+
         try {
             // Fetch the actual blog post page to get excerpt
-            const response = await fetch(post.url);
-            if (!response.ok) return post;
+            const response = await this.scheduler.fetch(post.url);
+            if (!response.ok) return this.withTaxonomy(post, post.categories, post.tags);
             
             const html = await response.text();
             const parser = new DOMParser();
@@ -161,64 +588,211 @@ class BlogLoader {
                 excerpt = excerpt.substring(0, 200) + '...';
             }
             
-            // Determine category from title and excerpt
-            const category = this.determineCategory(post.title, excerpt);
+            // Taxonomy from Open Graph article metadata
+            const sections = Array.from(doc.querySelectorAll('meta[property="article:section"]'))
+                .map(meta => meta.getAttribute('content'));
+            const tags = Array.from(doc.querySelectorAll('meta[property="article:tag"]'))
+                .map(meta => meta.getAttribute('content'));
+
+            // Authors from the page's author meta tags
+            const authorMeta = Array.from(doc.querySelectorAll('meta[name="author"], meta[property="article:author"]'))
+                .map(meta => meta.getAttribute('content'));
+            const authors = this.toAuthorList(post.authors && post.authors.length ? post.authors : authorMeta);
+
+            // Cover image from Open Graph / Twitter card metadata or the first figure
+            const metaContent = name => {
+                const element = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+                return element ? element.getAttribute('content') : null;
+            };
+            const article = doc.querySelector('article, .post-content, main');
+            const socialImage = metaContent('og:image') || metaContent('og:image:url') || metaContent('twitter:image');
+            const coverImage = post.coverImage || (socialImage
+                ? this.toCoverImage({
+                    url: socialImage,
+                    width: metaContent('og:image:width'),
+                    height: metaContent('og:image:height'),
+                    alt: metaContent('og:image:alt') || metaContent('twitter:image:alt')
+                }, post.url)
+                : this.findFirstImage(article ? article.innerHTML : '', post.url));
             
-            // Estimate read time (rough estimate based on excerpt)
-            const wordCount = excerpt.split(/\s+/).length;
-            const readTime = Math.max(3, Math.ceil(wordCount / 200)) + ' min read';
+            // Read time from the article body, or the excerpt when there is none
+            const stats = article
+                ? this.getHtmlReadingStats(article.innerHTML)
+                : this.getReadingStats(this.countWords(excerpt), 0, 0);
             
-            return {
+            return this.withTaxonomy({
                 ...post,
                 excerpt: excerpt || 'Read the full article to learn more.',
-                category,
-                readTime
-            };
+                authors,
+                coverImage,
+                ...stats
+            }, sections, tags);
         } catch (error) {
             console.warn(`Error enriching post data for ${post.title}:`, error);
-            // Return post with default values
-            return {
+            // Return post with default values; without the body there is no
+            // read time, so the cards leave it out
+            return this.withTaxonomy({
                 ...post,
                 excerpt: 'Read the full article to learn more.',
-                category: this.determineCategory(post.title, ''),
-                readTime: '5 min read'
-            };
+                authors: this.toAuthorList(post.authors)
+            }, post.categories, post.tags);
         }
     }
 
     /**
-     * Parse Jekyll front matter from markdown content
+     * Fill in excerpt, taxonomy and read time from a post's Markdown source
      */
-    parseFrontMatter(content) {
-        const frontMatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n([\s\S]*)$/;
-        const match = content.match(frontMatterRegex);
-        
-        if (!match) {
-            return { frontMatter: {}, body: content };
-        }
+    enrichFromSource(post, source) {
+        const { frontMatter, body } = this.parseFrontMatter(source);
 
-        const frontMatterText = match[1];
-        const body = match[2];
-        const frontMatter = {};
+        const summary = frontMatter.excerpt || frontMatter.description || frontMatter.summary;
+        const excerpt = summary
+            ? this.extractExcerpt(String(summary))
+            : post.excerpt ? this.truncateExcerpt(post.excerpt) : this.extractExcerpt(body);
 
-        // Simple YAML parser for basic key-value pairs
-        frontMatterText.split('\n').forEach(line => {
-            const colonIndex = line.indexOf(':');
-            if (colonIndex > 0) {
-                const key = line.substring(0, colonIndex).trim();
-                let value = line.substring(colonIndex + 1).trim();
-                
-                // Remove quotes if present
-                if ((value.startsWith('"') && value.endsWith('"')) ||
-                    (value.startsWith("'") && value.endsWith("'"))) {
-                    value = value.slice(1, -1);
-                }
-                
-                frontMatter[key] = value;
-            }
-        });
+        const date = frontMatter.date instanceof Date
+            ? frontMatter.date.toISOString().slice(0, 10)
+            : null;
+
+        return this.withTaxonomy({
+            ...post,
+            title: post.title || frontMatter.title,
+            date: post.date || date,
+            excerpt,
+            authors: this.toAuthorList(frontMatter.authors || frontMatter.author || post.authors),
+            coverImage: this.toCoverImage(frontMatter.image || frontMatter.cover || frontMatter.thumbnail || frontMatter.og_image, post.url) ||
+                post.coverImage || this.findFirstImage(body, post.url),
+            ...this.getMarkdownReadingStats(body)
+        }, frontMatter.categories || frontMatter.category || post.categories, frontMatter.tags || frontMatter.tag);
+    }
+
+    /**
+     * Limit excerpt length
+     */
+    truncateExcerpt(excerpt, maxLength = 200) {
+        return excerpt.length > maxLength ? excerpt.substring(0, maxLength) + '...' : excerpt;
+    }
+
+    /**
+     * Fill in category and read time for a post that came from a feed
+     */
+    enrichFromFeedData(post) {
+        const excerpt = this.truncateExcerpt(post.excerpt);
+
+        // Feed content holds the full article, which gives a real read time
+        const stats = post.content
+            ? this.getHtmlReadingStats(post.content)
+            : this.getReadingStats(this.countWords(excerpt), 0, 0);
+
+        // Feeds don't distinguish categories from tags, so treat them as categories
+        return this.withTaxonomy({
+            ...post,
+            excerpt,
+            authors: this.toAuthorList(post.authors),
+            coverImage: post.coverImage || this.findFirstImage(post.content, post.url),
+            ...stats
+        }, post.categories, post.tags);
+    }
+
+    /**
+     * Count whitespace-separated words
+     */
+    countWords(text) {
+        return (text || '').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    }
+
+    /**
+     * Combine prose words, code words and figures into
+     * { wordCount, figureCount, readTime }
+     */
+    getReadingStats(proseWords, codeWords, figureCount) {
+        const { proseWpm, codeWpm, secondsPerFigure } = this.readingSpeed;
+        const minutes = proseWords / proseWpm + codeWords / codeWpm + figureCount * secondsPerFigure / 60;
+
+        return {
+            wordCount: proseWords + codeWords,
+            figureCount,
+            readTime: Math.max(1, Math.round(minutes)) + ' min read'
+        };
+    }
+
+    /**
+     * Reading stats for a Markdown post body
+     */
+    getMarkdownReadingStats(body) {
+        let codeWords = 0;
+        let figureCount = 0;
 
-        return { frontMatter, body };
+        let text = (body || '')
+            // Fenced and HTML code blocks are read at code speed
+            .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n([\s\S]*?)(?:^ {0,3}\1[ \t]*$|(?![\s\S]))/gm, (match, fence, code) => {
+                codeWords += this.countWords(code);
+                return '\n';
+            })
+            .replace(/<pre[\s>][\s\S]*?<\/pre>/gi, match => {
+                codeWords += this.countWords(FeedParser.htmlToText(match));
+                return '\n';
+            })
+            // A figure counts once however many images it wraps
+            .replace(/<figure[\s>][\s\S]*?<\/figure>/gi, match => {
+                figureCount++;
+                return '\n' + FeedParser.htmlToText(match.replace(/<img[^>]*>/gi, '')) + '\n';
+            })
+            .replace(/!\[[^\]]*\]\([^)]*\)|!\[[^\]]*\]\[[^\]]*\]|<img\b[^>]*>/gi, () => {
+                figureCount++;
+                return ' ';
+            })
+            // Liquid tags and HTML markup are not read
+            .replace(/\{%[\s\S]*?%\}/g, ' ')
+            .replace(/<[^>]+>/g, ' ');
+
+        text = this.extractExcerpt(text, Infinity);
+        return this.getReadingStats(this.countWords(text), codeWords, figureCount);
+    }
+
+    /**
+     * Reading stats for rendered article HTML (feed content or a post page)
+     */
+    getHtmlReadingStats(html) {
+        let codeWords = 0;
+        let figureCount = 0;
+
+        const text = (html || '')
+            .replace(/<pre[\s>][\s\S]*?<\/pre>/gi, match => {
+                codeWords += this.countWords(FeedParser.htmlToText(match));
+                return ' ';
+            })
+            .replace(/<figure[\s>][\s\S]*?<\/figure>/gi, match => {
+                figureCount++;
+                return ' ' + match.replace(/<img[^>]*>/gi, '') + ' ';
+            })
+            .replace(/<img\b[^>]*>/gi, () => {
+                figureCount++;
+                return ' ';
+            });
+
+        return this.getReadingStats(this.countWords(FeedParser.htmlToText(text)), codeWords, figureCount);
+    }
+
+    /**
+     * Word and figure counts for display ("1,240 words · 3 figures")
+     */
+    formatReadingStats(post) {
+        const parts = [];
+        if (post.wordCount) {
+            parts.push(`${post.wordCount.toLocaleString('en-US')} ${post.wordCount === 1 ? 'word' : 'words'}`);
+        }
+        if (post.figureCount) {
+            parts.push(`${post.figureCount} ${post.figureCount === 1 ? 'figure' : 'figures'}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Parse Jekyll front matter from markdown content
+     */
+    parseFrontMatter(content) {
+        return this.frontMatterParser.parse(content);
     }
 
     /**
@@ -228,6 +802,9 @@ class BlogLoader {
         // Remove markdown formatting
         let text = body
             .replace(/^#+\s+/gm, '') // Remove headers
+            .replace(/^\s*(?:[-*+]|\d+\.)\s+/gm, '') // Remove list markers
+            .replace(/!\[[^\]]*\]\([^\)]+\)/g, '') // Remove images
+            .replace(/<[^>]+>/g, '') // Remove inline HTML
             .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold
             .replace(/\*(.*?)\*/g, '$1') // Remove italic
             .replace(/\[([^\]]+)\]\([^\)]+\)/g, '$1') // Remove links
@@ -242,23 +819,15 @@ class BlogLoader {
     }
 
     /**
-     * Determine category from title/content
+     * Format a category or tag for display ("web-llm" -> "Web Llm")
      */
-    determineCategory(title, body) {
-        const lowerTitle = title.toLowerCase();
-        const lowerBody = body.toLowerCase();
-
-        if (lowerTitle.includes('tutorial') || lowerTitle.includes('guide') || lowerTitle.includes('how to')) {
-            return 'tutorials';
-        } else if (lowerTitle.includes('optimization') || lowerTitle.includes('optimizing') || lowerTitle.includes('performance')) {
-            return 'optimization';
-        } else if (lowerTitle.includes('deployment') || lowerTitle.includes('deploy') || lowerTitle.includes('serving') || 
-                   lowerTitle.includes('mobile') || lowerTitle.includes('android') || lowerTitle.includes('gpu')) {
-            return 'deployment';
-        } else if (lowerTitle.includes('research') || lowerTitle.includes('paper') || lowerTitle.includes('study')) {
-            return 'research';
-        }
-        return 'deployment'; // Default category
+    formatTermLabel(term) {
+        if (!term) return 'Blog';
+        return term
+            .split(/[-_\s]+/)
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+            .join(' ');
     }
 
     /**
@@ -315,145 +884,575 @@ class BlogLoader {
 
 
     /**
-     * Fetch all blog posts from blog.mlc.ai
+     * Fetch the build-time post index (data/posts.json); empty when it
+     * hasn't been generated yet
      */
-    async fetchAllPosts() {
-        try {
-            // Fetch posts from blog.mlc.ai
-            const posts = await this.fetchPostsFromBlog();
-            
-            if (posts.length === 0) {
-                return [];
-            }
-            
-            // Enrich posts with excerpt and category (fetch in batches to avoid overwhelming)
-            // Process first 5 immediately, then batch the rest
-            const batchSize = 5;
-            const enrichedPosts = [];
-            
-            for (let i = 0; i < posts.length; i += batchSize) {
-                const batch = posts.slice(i, i + batchSize);
-                const enrichedBatch = await Promise.all(
-                    batch.map(post => this.enrichPostData(post))
-                );
-                enrichedPosts.push(...enrichedBatch);
-                
-                // Small delay between batches to be respectful
-                if (i + batchSize < posts.length) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-            }
-            
-            this.posts = enrichedPosts;
-            
-            // Extract categories
-            this.posts.forEach(post => {
-                this.categories.add(post.category);
-            });
-            
-            return this.posts;
-        } catch (error) {
-            console.error('Error fetching blog posts:', error);
-            return [];
+    async fetchPostIndex() {
+        const response = await this.scheduler.fetch(this.indexUrl);
+        if (response.status === 404) return [];
+        if (!response.ok) throw new Error(`Failed to fetch ${this.indexUrl}: ${response.status}`);
+
+        const data = await response.json();
+        const posts = (data.posts || []).map(post => ({
+            ...post,
+            formattedDate: this.formatDate(post.date)
+        }));
+
+        return this.sortPostsByDate(posts);
+    }
+
+    /**
+     * Fetch posts live from the blog and enrich each one
+     */
+    async fetchLivePosts(sources = this.sources) {
+        // Fetch posts from every source
+        const posts = await this.fetchPosts(sources);
+
+        // Posts enriched earlier (e.g. cached ones) keep their data; the rest
+        // render as skeleton cards and are enriched when they come into view
+        const known = new Map(this.posts.filter(post => !post.pending).map(post => [post.url, post]));
+        return posts.map(post => known.get(post.url) ||
+            this.withTaxonomy({ ...post, pending: true }, post.categories, post.tags));
+    }
+
+    /**
+     * Enrich a skeleton post once, then update it and its cards in place
+     */
+    enrichPost(post) {
+        if (!post.pending) return Promise.resolve(post);
+
+        if (!this.enriching.has(post.url)) {
+            const { pending, ...rawPost } = post;
+            this.enriching.set(post.url, this.enrichPostData(rawPost).then(enriched => this.updatePost(enriched)));
         }
+        return this.enriching.get(post.url);
     }
 
     /**
-     * Render featured article
+     * Replace a post with its enriched version and re-render its cards.
+     * Filters, search and the cache are refreshed once a burst of
+     * enrichments has settled.
      */
-    renderFeaturedArticle(post) {
-        const featuredSection = document.querySelector('.featured-article .featured-card .featured-content');
-        if (!featuredSection || !post) return;
+    updatePost(enriched) {
+        const index = this.posts.findIndex(post => post.url === enriched.url);
+        if (index === -1) return enriched;
 
-        const dateParts = post.date ? post.date.split('-') : [];
-        const year = dateParts[0] || new Date().getFullYear();
-        const month = dateParts[1] || '01';
-        const day = dateParts[2] || '01';
+        const post = { ...enriched, source: this.posts[index].source, authors: this.toAuthorList(enriched.authors) };
+        this.posts[index] = post;
 
-        featuredSection.innerHTML = `
-            <div class="featured-badge">
-                <i class="fas fa-star"></i>
-                <span>Latest</span>
-            </div>
-            <h2>${post.title}</h2>
-            <p class="featured-excerpt">${post.excerpt}</p>
-            <div class="featured-meta">
+        if (index === 0) this.renderFeaturedArticle(post);
+        this.renderPostCards(post);
+
+        clearTimeout(this.enrichedTimer);
+        this.enrichedTimer = setTimeout(() => {
+            this.setPosts(this.posts);
+            if (this.cache) this.cache.set('blog-posts', this.posts);
+            if (this.onPostsEnriched) this.onPostsEnriched();
+        }, 250);
+
+        return post;
+    }
+
+    /**
+     * Re-render every card showing a post (grid and homepage cards)
+     */
+    renderPostCards(post) {
+        document.querySelectorAll('[data-post-url]').forEach(card => {
+            if (card.dataset.postUrl !== post.url) return;
+
+            let content;
+            if (card.classList.contains('news-card')) {
+                content = this.renderNewsCard(post);
+            } else {
+                // Keep search highlights if the card is a search result
+                const entry = this.getVisibleEntries().find(visible => visible.post.url === post.url);
+                content = this.renderPostCard(post, entry ? entry.terms : null);
+            }
+
+            const template = document.createElement('template');
+            HtmlTemplate.render(template, content);
+            const newCard = template.content.firstElementChild;
+            card.replaceWith(newCard);
+            if (window.MLCUtils) window.MLCUtils.observeLazyImages(newCard);
+        });
+    }
+
+    /**
+     * Enrich skeleton cards when they are visible or about to be
+     */
+    observePendingCards(root) {
+        const cards = root.querySelectorAll('[data-post-url].is-pending');
+        const enrichCard = card => {
+            const post = this.posts.find(candidate => candidate.url === card.dataset.postUrl);
+            if (post) this.enrichPost(post);
+        };
+
+        if (!('IntersectionObserver' in window)) {
+            cards.forEach(enrichCard);
+            return;
+        }
+
+        if (!this.cardObserver) {
+            this.cardObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        this.cardObserver.unobserve(entry.target);
+                        enrichCard(entry.target);
+                    }
+                });
+            }, { rootMargin: '400px 0px' });
+        }
+        cards.forEach(card => this.cardObserver.observe(card));
+    }
+
+    /**
+     * Fetch again only the sources that failed, and merge their posts into
+     * the loaded ones
+     */
+    async retryFailedSources() {
+        const posts = await this.fetchLivePosts(this.failedSources);
+        this.setPosts(this.mergePosts([...this.posts, ...posts]));
+        if (this.cache && posts.length > 0) this.cache.set('blog-posts', this.posts);
+        return this.posts;
+    }
+
+    /**
+     * Store posts and collect their categories
+     */
+    setPosts(posts) {
+        // Older indexes and caches store authors as plain names and have
+        // only MLC blog posts
+        const defaultSource = this.sources.length ? this.sources[0].id : null;
+        this.posts = posts.map(post => ({
+            ...post,
+            source: post.source || defaultSource,
+            authors: this.toAuthorList(post.authors)
+        }));
+
+        // Rebuild the search index over the new posts
+        if (typeof BlogSearchIndex !== 'undefined') {
+            this.searchIndex = new BlogSearchIndex(this.posts);
+        }
+
+        // Extract categories
+        this.categories = new Set();
+        this.posts.forEach(post => {
+            (post.categories || []).forEach(category => this.categories.add(category));
+        });
+
+        // Collect authors with their posts, keeping any GitHub handle found
+        this.authors = new Map();
+        this.posts.forEach(post => {
+            post.authors.forEach(author => {
+                const key = this.getAuthorKey(author);
+                const entry = this.authors.get(key) || { ...author, key, posts: [] };
+                entry.github = entry.github || author.github;
+                entry.url = entry.url || author.url;
+                entry.posts.push(post);
+                this.authors.set(key, entry);
+            });
+        });
+
+        return this.posts;
+    }
+
+    /**
+     * Fetch all blog posts, preferring the static index over live fetching
+     */
+    async fetchAllPosts() {
+        try {
+            if (!this.liveRefresh) {
+                try {
+                    const posts = await this.fetchPostIndex();
+                    if (posts.length > 0) {
+                        return this.setPosts(posts);
+                    }
+                } catch (error) {
+                    console.warn('Static post index unavailable, fetching live:', error);
+                }
+            }
+
+            return this.setPosts(await this.fetchLivePosts());
+        } catch (error) {
+            console.error('Error fetching blog posts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Load posts through the persistent cache. onPosts runs with cached posts
+     * right away and again only if revalidation returns different posts.
+     */
+    async loadPosts(onPosts) {
+        const fetcher = async () => {
+            const posts = await this.fetchAllPosts();
+            if (posts.length === 0) throw new Error('No blog posts found');
+            return posts;
+        };
+
+        return this.cache.staleWhileRevalidate('blog-posts', fetcher, {
+            ttl: this.cacheTtl,
+            force: this.liveRefresh,
+            onData: posts => {
+                this.setPosts(posts);
+                onPosts();
+            }
+        });
+    }
+
+    /**
+     * Render featured article
+     */
+    renderFeaturedArticle(post) {
+        const featuredSection = document.querySelector('.featured-article .featured-card .featured-content');
+        if (!featuredSection || !post) return;
+
+        // The featured post is always visible, so enrich it right away
+        if (post.pending) this.enrichPost(post);
+
+        const dateParts = post.date ? post.date.split('-') : [];
+        const year = dateParts[0] || new Date().getFullYear();
+        const month = dateParts[1] || '01';
+        const day = dateParts[2] || '01';
+
+        HtmlTemplate.render(featuredSection, HtmlTemplate.html`
+            <div class="featured-badge">
+                <i class="fas fa-star"></i>
+                <span>Latest</span>
+            </div>
+            <h2>${post.title}</h2>
+            ${post.pending ? HtmlTemplate.html`
+            <div class="featured-excerpt skeleton-lines" aria-hidden="true">
+                <span class="skeleton"></span>
+                <span class="skeleton"></span>
+                <span class="skeleton skeleton-short"></span>
+            </div>` : HtmlTemplate.html`<p class="featured-excerpt">${post.excerpt}</p>`}
+            <div class="featured-meta">
+                ${post.authors && post.authors.length ? HtmlTemplate.html`
                 <span class="author">
                     <i class="fas fa-user"></i>
-                    MLC Team
-                </span>
+                    ${this.renderByline(post, { avatars: false })}
+                </span>` : ''}
                 <span class="date">
                     <i class="fas fa-calendar"></i>
                     ${post.formattedDate}
                 </span>
+                ${post.pending || post.readTime ? HtmlTemplate.html`
                 <span class="read-time">
                     <i class="fas fa-clock"></i>
-                    ${post.readTime}
-                </span>
+                    ${post.pending ? HtmlTemplate.html`<span class="skeleton skeleton-pill"></span>` : post.readTime}
+                </span>` : ''}
+                ${post.wordCount ? HtmlTemplate.html`
+                <span class="word-count">
+                    <i class="fas fa-align-left"></i>
+                    ${post.wordCount.toLocaleString('en-US')} words
+                </span>` : ''}
+                ${post.figureCount ? HtmlTemplate.html`
+                <span class="figure-count">
+                    <i class="fas fa-image"></i>
+                    ${post.figureCount} ${post.figureCount === 1 ? 'figure' : 'figures'}
+                </span>` : ''}
             </div>
-            <a href="${post.url}" class="btn btn-primary" target="_blank" rel="noopener">Read Full Article</a>
-        `;
+            <a ${this.getPostLinkAttrs(post)} class="btn btn-primary">Read Full Article</a>
+        `);
+    }
+
+    /**
+     * Group posts by year and month, newest first:
+     * [{ period: 'YYYY', count, months: [{ period: 'YYYY-MM', count, posts }] }]
+     */
+    getArchive() {
+        const years = new Map();
+
+        this.posts.forEach(post => {
+            const match = (post.date || '').match(/^(\d{4})-(\d{2})/);
+            if (!match) return;
+
+            if (!years.has(match[1])) years.set(match[1], new Map());
+            const months = years.get(match[1]);
+            const period = `${match[1]}-${match[2]}`;
+            if (!months.has(period)) months.set(period, []);
+            months.get(period).push(post);
+        });
+
+        return Array.from(years.entries())
+            .sort((a, b) => b[0].localeCompare(a[0]))
+            .map(([year, months]) => {
+                const monthList = Array.from(months.entries())
+                    .sort((a, b) => b[0].localeCompare(a[0]))
+                    .map(([period, posts]) => ({ period, count: posts.length, posts }));
+                return {
+                    period: year,
+                    count: monthList.reduce((sum, month) => sum + month.count, 0),
+                    months: monthList
+                };
+            });
+    }
+
+    /**
+     * Format an archive period ("2024" or "2024-03" -> "March 2024")
+     */
+    formatPeriod(period) {
+        const [year, month] = period.split('-');
+        if (!month) return year;
+        return new Date(Date.UTC(+year, +month - 1, 1))
+            .toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
+    }
 
-        // Update chart with actual post count
+    /**
+     * Render the posts-per-year chart with a month histogram under each year.
+     * Bars are scaled to the busiest year/month and filter the grid on click.
+     */
+    renderArchiveChart() {
         const chartBars = document.querySelector('.chart-bars');
-        if (chartBars) {
-            const totalPosts = this.posts.length;
-            const posts2024 = this.posts.filter(p => p.date && p.date.startsWith('2024')).length;
-            const posts2025 = this.posts.filter(p => p.date && p.date.startsWith('2025')).length;
-            
-            chartBars.innerHTML = `
+        if (!chartBars) return;
+
+        const archive = this.getArchive();
+        if (archive.length === 0) {
+            chartBars.innerHTML = '';
+            return;
+        }
+
+        const subtitle = document.querySelector('.performance-chart .chart-subtitle');
+        if (subtitle) {
+            const firstYear = archive[archive.length - 1].period;
+            subtitle.textContent = `${this.posts.length} ${this.posts.length === 1 ? 'post' : 'posts'} since ${firstYear}`;
+        }
+
+        const colors = ['var(--primary-color)', 'var(--accent-color)', 'var(--secondary-color)'];
+        const maxYear = Math.max(...archive.map(year => year.count));
+        const maxMonth = Math.max(...archive.flatMap(year => year.months.map(month => month.count)));
+
+        HtmlTemplate.render(chartBars, archive.map((year, index) => {
+            const monthCounts = {};
+            year.months.forEach(month => { monthCounts[month.period] = month.count; });
+
+            const monthBars = Array.from({ length: 12 }, (_, i) => {
+                const period = `${year.period}-${String(i + 1).padStart(2, '0')}`;
+                const count = monthCounts[period] || 0;
+                const label = `${this.formatPeriod(period)}: ${count} ${count === 1 ? 'post' : 'posts'}`;
+                return count
+                    ? HtmlTemplate.html`<button type="button" class="month-bar archive-filter${period === this.currentPeriod ? ' active' : ''}" data-period="${period}" style="height: ${Math.max(12, count / maxMonth * 100)}%;" title="${label}" aria-label="${label}"></button>`
+                    : HtmlTemplate.html`<span class="month-bar empty" title="${label}"></span>`;
+            });
+
+            return HtmlTemplate.html`
                 <div class="bar-item">
-                    <span class="bar-label">Total Posts</span>
+                    <button type="button" class="bar-label archive-filter${year.period === this.currentPeriod ? ' active' : ''}" data-period="${year.period}">
+                        ${year.period} Posts
+                    </button>
                     <div class="bar-container">
-                        <div class="bar-fill" style="width: 100%; background: var(--primary-color);">
-                            <span class="bar-value">${totalPosts}</span>
+                        <div class="bar-fill" style="width: ${Math.max(8, year.count / maxYear * 100)}%; background: ${colors[index % colors.length]};">
+                            <span class="bar-value">${year.count}</span>
                         </div>
                     </div>
+                    <div class="month-bars" aria-label="Posts per month in ${year.period}">${monthBars}</div>
                 </div>
-                <div class="bar-item">
-                    <span class="bar-label">2024 Posts</span>
-                    <div class="bar-container">
-                        <div class="bar-fill" style="width: ${(posts2024 / totalPosts * 100)}%; background: var(--accent-color);">
-                            <span class="bar-value">${posts2024}</span>
-                        </div>
+            `;
+        }));
+    }
+
+    /**
+     * Render the archive section: posts grouped by year and month
+     */
+    renderArchive() {
+        const archiveList = document.querySelector('.archive-list');
+        if (!archiveList) return;
+
+        HtmlTemplate.render(archiveList, this.getArchive().map(year => HtmlTemplate.html`
+            <div class="archive-year">
+                <h3>
+                    <button type="button" class="archive-filter" data-period="${year.period}">${year.period}</button>
+                    <span class="archive-count">${year.count} ${year.count === 1 ? 'post' : 'posts'}</span>
+                </h3>
+                ${year.months.map(month => HtmlTemplate.html`
+                    <div class="archive-month">
+                        <h4>
+                            <button type="button" class="archive-filter" data-period="${month.period}">${this.formatPeriod(month.period).split(' ')[0]}</button>
+                            <span class="archive-count">${month.count}</span>
+                        </h4>
+                        <ul>
+                            ${month.posts.map(post => HtmlTemplate.html`
+                                <li>
+                                    <span class="archive-date">${post.date.slice(8, 10)}</span>
+                                    <a ${this.getPostLinkAttrs(post)}>${post.title}</a>
+                                </li>
+                            `)}
+                        </ul>
+                    </div>
+                `)}
+            </div>
+        `));
+    }
+
+    /**
+     * Show the active archive period above the grid
+     */
+    renderPeriodFilter() {
+        const periodFilter = document.querySelector('.blog-period-filter');
+        if (periodFilter) {
+            periodFilter.hidden = this.currentPeriod === 'all';
+            HtmlTemplate.render(periodFilter, this.currentPeriod === 'all' ? '' : HtmlTemplate.html`
+                <span>Showing posts from <strong>${this.formatPeriod(this.currentPeriod)}</strong></span>
+                <button type="button" class="archive-filter period-clear" data-period="all">
+                    <i class="fas fa-times"></i> Clear
+                </button>
+            `);
+        }
+
+        document.querySelectorAll('.archive-filter').forEach(el => {
+            el.classList.toggle('active', el.dataset.period === this.currentPeriod);
+        });
+    }
+
+    /**
+     * Initialize archive filtering from chart bars and archive headings
+     */
+    initArchiveFilter() {
+        document.addEventListener('click', (event) => {
+            const control = event.target.closest('.archive-filter');
+            if (!control) return;
+
+            this.currentPeriod = control.dataset.period;
+            this.currentPage = 1;
+            this.saveViewState();
+            this.renderPosts();
+
+            const postsSection = document.querySelector('.blog-posts');
+            if (postsSection) postsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    /**
+     * Posts most similar to the given one (title, tags and body text). The
+     * build-time index ships the related URLs; otherwise they are computed
+     * from the search index.
+     */
+    getRelatedPosts(post, limit = this.relatedCount) {
+        if (Array.isArray(post.related) && post.related.length > 0) {
+            return post.related
+                .map(url => this.posts.find(candidate => candidate.url === url))
+                .filter(Boolean)
+                .slice(0, limit);
+        }
+
+        if (!this.searchIndex) return [];
+        // The index may hold older copies of the posts; return the current ones
+        return this.searchIndex.similar(post, limit)
+            .map(result => this.posts.find(candidate => candidate.url === result.post.url) || result.post);
+    }
+
+    /**
+     * Render a "Related posts" strip for a post
+     */
+    renderRelatedPosts(post, limit = this.relatedCount) {
+        const related = this.getRelatedPosts(post, limit);
+        if (related.length === 0) return '';
+
+        return HtmlTemplate.html`
+            <div class="blog-related">
+                <span class="blog-related-label">Related posts</span>
+                <ul>
+                    ${related.map(relatedPost => HtmlTemplate.html`
+                        <li><a ${this.getPostLinkAttrs(relatedPost)}>${relatedPost.title}</a></li>
+                    `)}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a badge naming the source a post came from
+     */
+    renderSourceBadge(post) {
+        const source = this.getSource(post.source);
+        if (!source) return '';
+
+        return HtmlTemplate.html`
+            <span class="source-badge" data-source="${source.id}" title="From ${source.label}">
+                <i class="${source.icon}"></i>
+                ${source.label}
+            </span>
+        `;
+    }
+
+    /**
+     * Render a placeholder card for a post that is still being enriched
+     */
+    renderSkeletonCard(post, title) {
+        const monthYear = post.date ? new Date(post.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long' }) : '';
+
+        return HtmlTemplate.html`
+            <article class="blog-card is-pending" data-post-url="${post.url}" aria-busy="true">
+                <div class="blog-card-image">
+                    <div class="image-placeholder">
+                        <i class="fas fa-file-alt"></i>
                     </div>
                 </div>
-                <div class="bar-item">
-                    <span class="bar-label">2025 Posts</span>
-                    <div class="bar-container">
-                        <div class="bar-fill" style="width: ${(posts2025 / totalPosts * 100)}%; background: var(--secondary-color);">
-                            <span class="bar-value">${posts2025}</span>
-                        </div>
+                <div class="blog-card-content">
+                    <div class="blog-meta">
+                        <span class="skeleton skeleton-pill"></span>
+                        <span class="blog-date">${monthYear}</span>
+                        ${this.renderSourceBadge(post)}
+                    </div>
+                    <h3>${title}</h3>
+                    ${this.renderByline(post)}
+                    <div class="skeleton-lines" aria-hidden="true">
+                        <span class="skeleton"></span>
+                        <span class="skeleton"></span>
+                        <span class="skeleton skeleton-short"></span>
+                    </div>
+                    <div class="blog-footer">
+                        <span class="skeleton skeleton-pill"></span>
+                        <a ${this.getPostLinkAttrs(post)} class="read-more">Read More <i class="fas fa-arrow-right"></i></a>
                     </div>
                 </div>
-            `;
-        }
+            </article>
+        `;
     }
 
     /**
      * Render blog post card
      */
-    renderPostCard(post) {
+    renderPostCard(post, highlightTerms = null) {
         const icon = this.getCategoryIcon(post.category);
+        const title = highlightTerms ? this.searchIndex.highlight(post.title, highlightTerms) : post.title;
+        if (post.pending) return this.renderSkeletonCard(post, title);
+
+        const excerpt = highlightTerms ? this.searchIndex.highlight(post.excerpt, highlightTerms) : post.excerpt;
+        const tags = (post.tags || []).map(tag => HtmlTemplate.html`<span class="blog-tag">${this.formatTermLabel(tag)}</span>`);
         const monthYear = post.date ? new Date(post.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long' }) : '';
+        const readingStats = this.formatReadingStats(post);
+        const cover = post.coverImage;
 
-        return `
-            <article class="blog-card" data-category="${post.category}">
-                <div class="blog-card-image">
+        // The cover loads lazily over a blurred icon tile, which stays if it fails
+        return HtmlTemplate.html`
+            <article class="blog-card" data-category="${post.category || ''}" data-post-url="${post.url}">
+                <div class="blog-card-image${cover ? ' has-cover' : ''}">
                     <div class="image-placeholder">
                         <i class="fas ${icon}"></i>
                     </div>
+                    ${cover ? HtmlTemplate.html`
+                    <img class="blog-card-cover lazy" data-src="${cover.url}" alt="${cover.alt}"
+                        width="${cover.width || 1200}" height="${cover.height || 630}" decoding="async">` : ''}
                 </div>
                 <div class="blog-card-content">
                     <div class="blog-meta">
-                        <span class="blog-category">${post.category.charAt(0).toUpperCase() + post.category.slice(1)}</span>
+                        <span class="blog-category">${this.formatTermLabel(post.category)}</span>
                         <span class="blog-date">${monthYear}</span>
+                        ${this.renderSourceBadge(post)}
                     </div>
-                    <h3>${post.title}</h3>
-                    <p>${post.excerpt}</p>
+                    <h3>${title}</h3>
+                    ${this.renderByline(post)}
+                    <p>${excerpt}</p>
+                    ${tags.length ? HtmlTemplate.html`<div class="blog-tags">${tags}</div>` : ''}
+                    ${this.renderRelatedPosts(post)}
                     <div class="blog-footer">
-                        <span class="read-time">${post.readTime}</span>
-                        <a href="${post.url}" class="read-more" target="_blank" rel="noopener">Read More <i class="fas fa-arrow-right"></i></a>
+                        <span class="read-time">
+                            ${post.readTime}
+                            ${readingStats ? HtmlTemplate.html`<span class="reading-stats">${readingStats}</span>` : ''}
+                        </span>
+                        <a ${this.getPostLinkAttrs(post)} class="read-more">Read More <i class="fas fa-arrow-right"></i></a>
                     </div>
                 </div>
             </article>
@@ -465,17 +1464,25 @@ class BlogLoader {
      */
     renderNewsCard(post) {
         const monthYear = post.date ? new Date(post.date).toLocaleDateString('en-US', { year: 'numeric', month: 'long' }) : '';
-        const category = post.category ? post.category.charAt(0).toUpperCase() + post.category.slice(1) : 'Blog';
+        const category = this.formatTermLabel(post.category);
 
-        return `
-            <article class="news-card">
+        return HtmlTemplate.html`
+            <article class="news-card${post.pending ? ' is-pending' : ''}" data-post-url="${post.url}"${post.pending ? HtmlTemplate.html` aria-busy="true"` : ''}>
                 <div class="news-meta">
                     <span class="news-date">${monthYear}</span>
-                    <span class="news-category">${category}</span>
+                    ${post.pending
+                        ? HtmlTemplate.html`<span class="skeleton skeleton-pill"></span>`
+                        : HtmlTemplate.html`<span class="news-category">${category}</span>`}
+                    ${this.renderSourceBadge(post)}
                 </div>
                 <h3>${post.title}</h3>
-                <p>${post.excerpt}</p>
-                <a href="${post.url}" class="news-link" target="_blank" rel="noopener">Read More</a>
+                ${this.renderByline(post, { avatars: false })}
+                ${post.pending ? HtmlTemplate.html`
+                <div class="skeleton-lines" aria-hidden="true">
+                    <span class="skeleton"></span>
+                    <span class="skeleton skeleton-short"></span>
+                </div>` : HtmlTemplate.html`<p>${post.excerpt}</p>`}
+                <a ${this.getPostLinkAttrs(post)} class="news-link">Read More</a>
             </article>
         `;
     }
@@ -488,7 +1495,7 @@ class BlogLoader {
         if (!newsGrid) return;
 
         if (this.posts.length === 0) {
-            newsGrid.innerHTML = `
+            HtmlTemplate.render(newsGrid, HtmlTemplate.html`
                 <article class="news-card">
                     <div class="news-meta">
                         <span class="news-date">Loading...</span>
@@ -498,13 +1505,16 @@ class BlogLoader {
                     <p>Please wait while we fetch the latest blog posts.</p>
                     <a href="blog.html" class="news-link">View Blog</a>
                 </article>
-            `;
+            `);
             return;
         }
 
         // Get the latest posts (up to count)
         const latestPosts = this.posts.slice(0, count);
-        newsGrid.innerHTML = latestPosts.map(post => this.renderNewsCard(post)).join('');
+        HtmlTemplate.render(newsGrid, latestPosts.map(post => this.renderNewsCard(post)));
+
+        // Only the posts shown here get enriched
+        this.observePendingCards(newsGrid);
     }
 
     /**
@@ -512,21 +1522,14 @@ class BlogLoader {
      */
     async initHomepage() {
         try {
-            await this.fetchAllPosts();
-
-            if (this.posts.length === 0) {
-                console.warn('No blog posts found for homepage');
-                return;
-            }
-
-            // Render latest 2 posts on homepage
-            this.renderHomepageBlogs(2);
+            // Render latest 2 posts on homepage (cached first, then revalidated)
+            await this.loadPosts(() => this.renderHomepageBlogs(2));
         } catch (error) {
             console.error('Error initializing homepage blog:', error);
-            // Show fallback content
+            // Show fallback content with a Retry button
             const newsGrid = document.querySelector('.latest-news .news-grid');
             if (newsGrid) {
-                newsGrid.innerHTML = `
+                HtmlTemplate.render(newsGrid, HtmlTemplate.html`
                     <article class="news-card">
                         <div class="news-meta">
                             <span class="news-date">Error</span>
@@ -535,50 +1538,445 @@ class BlogLoader {
                         <h3>Unable to load blog posts</h3>
                         <p>Please visit our blog page to see the latest articles.</p>
                         <a href="blog.html" class="news-link">View Blog</a>
+                        <button type="button" class="btn btn-outline retry-btn">
+                            <i class="fas fa-redo"></i>
+                            Retry
+                        </button>
                     </article>
-                `;
+                `);
+                newsGrid.querySelector('.retry-btn').addEventListener('click', () => {
+                    // Back to the loading card while posts are fetched again
+                    this.renderHomepageBlogs(2);
+                    this.initHomepage();
+                });
             }
         }
     }
 
     /**
-     * Render all blog posts
+     * Posts for the current view: ranked search results, or the posts in the
+     * selected category, author, archive period and source without the
+     * featured one.
+     * Returns [{ post, terms }].
+     */
+    getVisibleEntries() {
+        const inView = post =>
+            (this.currentCategory === 'all' || (post.categories || []).includes(this.currentCategory)) &&
+            (this.currentAuthor === 'all' || post.authors.some(author => this.getAuthorKey(author) === this.currentAuthor)) &&
+            (this.currentPeriod === 'all' || (post.date || '').startsWith(this.currentPeriod)) &&
+            (this.currentSource === 'all' || post.source === this.currentSource);
+
+        if (this.searchQuery && this.searchIndex) {
+            return this.searchIndex.search(this.searchQuery)
+                .filter(result => inView(result.post))
+                .map(result => ({ post: result.post, terms: result.terms }));
+        }
+
+        // Skip the featured (latest) post, except on an author's or period's page
+        const showFeatured = this.currentAuthor !== 'all' || this.currentPeriod !== 'all';
+        return this.posts
+            .filter(post => (post !== this.posts[0] || showFeatured) && inView(post))
+            .map(post => ({ post, terms: null }));
+    }
+
+    /**
+     * Render the selected author's profile above the grid
+     */
+    renderAuthorProfile() {
+        const profile = document.querySelector('.author-profile');
+        if (!profile) return;
+
+        const author = this.authors.get(this.currentAuthor);
+        if (!author) {
+            profile.hidden = true;
+            profile.innerHTML = '';
+            return;
+        }
+
+        const profileUrl = author.github ? `https://github.com/${author.github}` : author.url;
+        const categories = this.toTermList(author.posts.flatMap(post => post.categories || []));
+
+        profile.hidden = false;
+        HtmlTemplate.render(profile, HtmlTemplate.html`
+            ${this.renderAuthorAvatar(author, 72)}
+            <div class="author-profile-info">
+                <h2>${author.name}</h2>
+                <p>
+                    ${author.posts.length} ${author.posts.length === 1 ? 'post' : 'posts'}
+                    ${categories.length ? ` on ${categories.slice(0, 3).map(category => this.formatTermLabel(category)).join(', ')}` : ''}
+                </p>
+                ${profileUrl ? HtmlTemplate.html`
+                <a href="${profileUrl}" class="author-profile-link" target="_blank" rel="noopener">
+                    <i class="fab ${author.github ? 'fa-github' : 'fa-link'}"></i>
+                    ${author.github ? `@${author.github}` : 'Website'}
+                </a>` : ''}
+            </div>
+            <button type="button" class="btn btn-outline author-profile-clear" data-author="all">All authors</button>
+        `);
+    }
+
+    /**
+     * Fill the author dropdown with every contributor, most prolific first
+     */
+    renderAuthorFilter() {
+        const select = document.querySelector('.author-filter');
+        if (!select) return;
+
+        // Fall back to "all" if the selected author no longer exists
+        if (this.currentAuthor !== 'all' && !this.authors.has(this.currentAuthor)) {
+            this.currentAuthor = 'all';
+        }
+
+        const authors = Array.from(this.authors.values())
+            .sort((a, b) => b.posts.length - a.posts.length || a.name.localeCompare(b.name));
+
+        HtmlTemplate.render(select, HtmlTemplate.html`
+            <option value="all">All authors</option>
+            ${authors.map(author => HtmlTemplate.html`<option value="${author.key}">${author.name} (${author.posts.length})</option>`)}
+        `);
+        select.value = this.currentAuthor;
+        select.disabled = authors.length === 0;
+    }
+
+    /**
+     * Initialize the author dropdown and author links in bylines
+     */
+    initAuthorFilter() {
+        const showAuthor = (key) => {
+            this.currentAuthor = key || 'all';
+            this.currentPage = 1;
+            this.saveViewState();
+            this.syncControls();
+            this.renderPosts();
+
+            const postsSection = document.querySelector('.blog-posts');
+            if (postsSection) postsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        };
+
+        const select = document.querySelector('.author-filter');
+        if (select) {
+            select.addEventListener('change', () => showAuthor(select.value));
+        }
+
+        // Bylines and the profile's reset button switch authors in place
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('.author-link, .author-profile-clear');
+            if (!link || link.closest('.blog-reader')) return;
+
+            event.preventDefault();
+            showAuthor(link.dataset.author);
+        });
+    }
+
+    /**
+     * Fill the source dropdown with the sources that have posts; it stays
+     * hidden while everything comes from one source
+     */
+    renderSourceFilter() {
+        const container = document.querySelector('.blog-source-filter');
+        const select = document.querySelector('.source-filter');
+        if (!container || !select) return;
+
+        const counts = {};
+        this.posts.forEach(post => {
+            counts[post.source] = (counts[post.source] || 0) + 1;
+        });
+        const sources = this.sources.filter(source => counts[source.id]);
+
+        // Fall back to "all" if the selected source has no posts
+        if (this.currentSource !== 'all' && !counts[this.currentSource]) {
+            this.currentSource = 'all';
+        }
+
+        HtmlTemplate.render(select, HtmlTemplate.html`
+            <option value="all">All sources</option>
+            ${sources.map(source => HtmlTemplate.html`<option value="${source.id}">${source.label} (${counts[source.id]})</option>`)}
+        `);
+        select.value = this.currentSource;
+        container.hidden = sources.length < 2;
+    }
+
+    /**
+     * Initialize the source dropdown
+     */
+    initSourceFilter() {
+        const select = document.querySelector('.source-filter');
+        if (!select) return;
+
+        select.addEventListener('change', () => {
+            this.currentSource = select.value || 'all';
+            this.currentPage = 1;
+            this.saveViewState();
+            this.renderPosts();
+        });
+    }
+
+    /**
+     * Render the current page of blog posts
      */
     renderPosts() {
         const postsGrid = document.querySelector('.posts-grid');
         if (!postsGrid) return;
 
-        // Filter posts by category
-        const filteredPosts = this.currentCategory === 'all' 
-            ? this.posts 
-            : this.posts.filter(post => post.category === this.currentCategory);
+        const entries = this.getVisibleEntries();
 
-        // Skip the first post (featured)
-        const postsToRender = filteredPosts.slice(1);
+        const status = document.querySelector('.blog-search-status');
+        if (status) {
+            status.textContent = this.searchQuery
+                ? `${entries.length} ${entries.length === 1 ? 'result' : 'results'} for "${this.searchQuery}"`
+                : '';
+        }
+
+        this.renderAuthorProfile();
+        this.renderPeriodFilter();
 
-        if (postsToRender.length === 0) {
-            postsGrid.innerHTML = '<p style="text-align: center; padding: 2rem; color: var(--text-secondary);">No posts found in this category.</p>';
+        if (entries.length === 0) {
+            const message = this.searchQuery ? 'No posts match your search.' : 'No posts found in this category.';
+            HtmlTemplate.render(postsGrid, HtmlTemplate.html`<p style="text-align: center; padding: 2rem; color: var(--text-secondary);">${message}</p>`);
+            this.renderPagination(0);
             return;
         }
 
-        postsGrid.innerHTML = postsToRender.map(post => this.renderPostCard(post)).join('');
+        const totalPages = Math.ceil(entries.length / this.pageSize);
+        this.currentPage = Math.min(Math.max(1, this.currentPage), totalPages);
+
+        const start = (this.currentPage - 1) * this.pageSize;
+        HtmlTemplate.render(postsGrid, entries
+            .slice(start, start + this.pageSize)
+            .map(entry => this.renderPostCard(entry.post, entry.terms)));
+
+        if (window.MLCUtils) window.MLCUtils.observeLazyImages(postsGrid);
+        this.observePendingCards(postsGrid);
+
+        this.renderPagination(totalPages);
+    }
+
+    /**
+     * Render page links (first, last and the pages around the current one)
+     */
+    renderPagination(totalPages) {
+        const pagination = document.querySelector('.blog-pagination');
+        if (!pagination) return;
+
+        if (totalPages <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        const pages = [];
+        for (let page = 1; page <= totalPages; page++) {
+            if (page === 1 || page === totalPages || Math.abs(page - this.currentPage) <= 1) {
+                pages.push(page);
+            } else if (pages[pages.length - 1] !== '...') {
+                pages.push('...');
+            }
+        }
+
+        const current = this.currentPage;
+        HtmlTemplate.render(pagination, HtmlTemplate.html`
+            <button class="page-btn" data-page="${current - 1}" ${current === 1 ? 'disabled' : ''} aria-label="Previous page">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            ${pages.map(page => page === '...'
+                ? HtmlTemplate.html`<span class="page-ellipsis">&hellip;</span>`
+                : HtmlTemplate.html`<button class="page-btn${page === current ? ' active' : ''}" data-page="${page}"${page === current ? HtmlTemplate.html` aria-current="page"` : ''}>${page}</button>`
+            )}
+            <button class="page-btn" data-page="${current + 1}" ${current === totalPages ? 'disabled' : ''} aria-label="Next page">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        `);
+    }
+
+    /**
+     * Fade covers in once loaded; drop covers that fail so the icon shows
+     */
+    initCoverImages() {
+        const postsGrid = document.querySelector('.posts-grid');
+        if (!postsGrid) return;
+
+        // load/error don't bubble, so listen in the capture phase
+        postsGrid.addEventListener('load', (event) => {
+            if (event.target.classList.contains('blog-card-cover')) {
+                event.target.classList.add('loaded');
+            }
+        }, true);
+
+        postsGrid.addEventListener('error', (event) => {
+            const img = event.target;
+            if (!img.classList.contains('blog-card-cover')) return;
+
+            img.closest('.blog-card-image').classList.remove('has-cover');
+            img.remove();
+        }, true);
+    }
+
+    /**
+     * Initialize pagination controls
+     */
+    initPagination() {
+        const pagination = document.querySelector('.blog-pagination');
+        if (!pagination) return;
+
+        pagination.addEventListener('click', (event) => {
+            const btn = event.target.closest('.page-btn');
+            if (!btn || btn.disabled) return;
+
+            this.currentPage = parseInt(btn.dataset.page, 10);
+            this.saveViewState();
+            this.renderPosts();
+
+            const postsSection = document.querySelector('.blog-posts');
+            if (postsSection) postsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+    }
+
+    /**
+     * Read category, search query and page from the query string
+     */
+    readViewState() {
+        const params = new URLSearchParams(window.location.search);
+        this.currentCategory = params.get('category') || 'all';
+        this.currentAuthor = params.get('author') || 'all';
+        this.currentPeriod = /^\d{4}(-\d{2})?$/.test(params.get('period') || '') ? params.get('period') : 'all';
+        this.currentSource = params.get('source') || 'all';
+        this.searchQuery = (params.get('q') || '').trim();
+        this.currentPage = Math.max(1, parseInt(params.get('page'), 10) || 1);
+    }
+
+    /**
+     * Mirror the view state into the query string. Typing in the search box
+     * replaces the history entry; other changes push a new one.
+     */
+    saveViewState({ replace = false } = {}) {
+        const params = new URLSearchParams(window.location.search);
+        const set = (key, value, defaultValue) => {
+            if (value && value !== defaultValue) params.set(key, value);
+            else params.delete(key);
+        };
+
+        set('category', this.currentCategory, 'all');
+        set('author', this.currentAuthor, 'all');
+        set('period', this.currentPeriod, 'all');
+        set('source', this.currentSource, 'all');
+        set('q', this.searchQuery, '');
+        set('page', String(this.currentPage), '1');
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+        if (replace) {
+            history.replaceState(null, '', url);
+        } else {
+            history.pushState(null, '', url);
+        }
+    }
+
+    /**
+     * Reflect the view state in the search box, category buttons and
+     * author and source dropdowns
+     */
+    syncControls() {
+        const input = document.querySelector('.blog-search-input');
+        if (input && input.value.trim() !== this.searchQuery) {
+            input.value = this.searchQuery;
+        }
+
+        const authorSelect = document.querySelector('.author-filter');
+        if (authorSelect && Array.from(authorSelect.options).some(option => option.value === this.currentAuthor)) {
+            authorSelect.value = this.currentAuthor;
+        }
+
+        const sourceSelect = document.querySelector('.source-filter');
+        if (sourceSelect && Array.from(sourceSelect.options).some(option => option.value === this.currentSource)) {
+            sourceSelect.value = this.currentSource;
+        }
+
+        document.querySelectorAll('.category-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.category === this.currentCategory);
+        });
+    }
+
+    /**
+     * Restore the view when navigating back/forward
+     */
+    initHistory() {
+        window.addEventListener('popstate', () => {
+            this.readViewState();
+            this.syncControls();
+            this.renderPosts();
+        });
+    }
+
+    /**
+     * Initialize the search box
+     */
+    initSearch() {
+        const input = document.querySelector('.blog-search-input');
+        if (!input) return;
+
+        const update = () => {
+            this.searchQuery = input.value.trim();
+            this.currentPage = 1;
+            this.saveViewState({ replace: true });
+            this.renderPosts();
+        };
+
+        input.addEventListener('input', window.MLCUtils ? window.MLCUtils.debounce(update, 150) : update);
+    }
+
+    /**
+     * Render one filter button per category found in the posts
+     */
+    renderCategoryButtons() {
+        const filter = document.querySelector('.categories-filter');
+        if (!filter) return;
+
+        // Most used categories first
+        const counts = {};
+        this.posts.forEach(post => {
+            (post.categories || []).forEach(category => {
+                counts[category] = (counts[category] || 0) + 1;
+            });
+        });
+        const categories = Array.from(this.categories).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+
+        // Fall back to "all" if the selected category no longer exists
+        if (this.currentCategory !== 'all' && !this.categories.has(this.currentCategory)) {
+            this.currentCategory = 'all';
+        }
+
+        const renderButton = (category, label) => HtmlTemplate.html`
+            <button class="category-btn${category === this.currentCategory ? ' active' : ''}" data-category="${category}">${label}</button>
+        `;
+
+        HtmlTemplate.render(filter, [
+            renderButton('all', 'All Posts'),
+            ...categories.map(category => renderButton(category, this.formatTermLabel(category)))
+        ]);
     }
 
     /**
      * Initialize category filtering
      */
     initCategoryFilter() {
-        const categoryButtons = document.querySelectorAll('.category-btn');
-        categoryButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                // Update active state
-                categoryButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-
-                // Update current category
-                this.currentCategory = btn.dataset.category;
-                this.renderPosts();
-            });
+        const filter = document.querySelector('.categories-filter');
+        if (!filter) return;
+
+        // Delegate so regenerated buttons keep working
+        filter.addEventListener('click', (event) => {
+            const btn = event.target.closest('.category-btn');
+            if (!btn) return;
+
+            // Update active state
+            filter.querySelectorAll('.category-btn').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+
+            // Update current category
+            this.currentCategory = btn.dataset.category;
+            this.currentPage = 1;
+            this.saveViewState();
+            this.renderPosts();
         });
     }
 
@@ -588,77 +1986,177 @@ class BlogLoader {
     showLoading() {
         const postsGrid = document.querySelector('.posts-grid');
         if (postsGrid) {
-            postsGrid.innerHTML = `
+            HtmlTemplate.render(postsGrid, HtmlTemplate.html`
                 <div style="grid-column: 1 / -1; text-align: center; padding: 3rem;">
                     <i class="fas fa-spinner fa-spin" style="font-size: 2rem; color: var(--primary-color); margin-bottom: 1rem;"></i>
                     <p style="color: var(--text-secondary);">Loading blog posts...</p>
                 </div>
-            `;
+            `);
         }
     }
 
     /**
-     * Show error state
+     * Show error state with a Retry button
      */
-    showError(message) {
+    showError(message, onRetry) {
         const postsGrid = document.querySelector('.posts-grid');
         if (postsGrid) {
-            postsGrid.innerHTML = `
+            HtmlTemplate.render(postsGrid, HtmlTemplate.html`
                 <div style="grid-column: 1 / -1; text-align: center; padding: 3rem;">
                     <i class="fas fa-exclamation-triangle" style="font-size: 2rem; color: var(--accent-color); margin-bottom: 1rem;"></i>
                     <p style="color: var(--text-secondary);">${message}</p>
                     <p style="color: var(--text-light); margin-top: 0.5rem; font-size: 0.875rem;">
                         Please check your internet connection and try again.
                     </p>
+                    ${onRetry ? HtmlTemplate.html`
+                    <button type="button" class="btn btn-outline retry-btn" style="margin-top: 1rem;">
+                        <i class="fas fa-redo"></i>
+                        Retry
+                    </button>` : ''}
                 </div>
-            `;
+            `);
+
+            const retryButton = postsGrid.querySelector('.retry-btn');
+            if (retryButton) retryButton.addEventListener('click', onRetry);
         }
     }
 
     /**
-     * Initialize blog loader
+     * Report sources that failed to load, with a Retry button that fetches
+     * only those sources
      */
-    async init() {
-        this.showLoading();
+    renderLoadStatus() {
+        const status = document.querySelector('.blog-load-status');
+        if (!status) return;
 
-        try {
-            await this.fetchAllPosts();
+        if (this.failedSources.length === 0) {
+            status.hidden = true;
+            status.innerHTML = '';
+            return;
+        }
+
+        const labels = this.failedSources.map(source => source.label);
+        status.hidden = false;
+        HtmlTemplate.render(status, HtmlTemplate.html`
+            <i class="fas fa-exclamation-circle"></i>
+            <span>Couldn't load posts from ${labels.join(', ')}.</span>
+            <button type="button" class="btn btn-outline retry-btn">
+                <i class="fas fa-redo"></i>
+                Retry
+            </button>
+        `);
 
-            if (this.posts.length === 0) {
-                this.showError('No blog posts found.');
-                return;
+        const retryButton = status.querySelector('.retry-btn');
+        retryButton.addEventListener('click', async () => {
+            retryButton.disabled = true;
+            try {
+                await this.retryFailedSources();
+            } catch (error) {
+                console.error('Error retrying post sources:', error);
             }
+            this.renderBlogPage();
+        });
+    }
 
-            // Render featured article (latest post)
-            this.renderFeaturedArticle(this.posts[0]);
+    /**
+     * Render everything that depends on the loaded posts
+     */
+    renderBlogPage() {
+        // Render featured article (latest post)
+        this.renderFeaturedArticle(this.posts[0]);
 
-            // Render all posts
-            this.renderPosts();
+        // Render category buttons, the author and source filters and all posts
+        this.renderCategoryButtons();
+        this.renderAuthorFilter();
+        this.renderSourceFilter();
+        this.renderArchiveChart();
+        this.renderArchive();
+        this.renderPosts();
+        this.renderLoadStatus();
+
+        // Related posts in an open article need the loaded posts
+        if (this.reader) this.reader.renderRelated();
 
-            // Initialize category filtering
+        // Initialize category, author and source filtering and search
+        if (!this.categoryFilterReady) {
             this.initCategoryFilter();
+            this.initAuthorFilter();
+            this.initSourceFilter();
+            this.initArchiveFilter();
+            this.initSearch();
+            this.initPagination();
+            this.categoryFilterReady = true;
+        }
+    }
 
+    /**
+     * Load posts (cached first, then revalidated) and render the page
+     */
+    async load() {
+        try {
+            await this.loadPosts(() => this.renderBlogPage());
+            // Revalidation may have failed sources without changing the posts
+            this.renderLoadStatus();
         } catch (error) {
             console.error('Error initializing blog loader:', error);
-            this.showError('Failed to load blog posts. Please try again later.');
+            this.showError('Failed to load blog posts.', () => {
+                this.showLoading();
+                this.load();
+            });
         }
     }
+
+    /**
+     * Initialize blog loader
+     */
+    async init() {
+        this.showLoading();
+
+        // Restore category, search and page from the URL
+        this.readViewState();
+        this.syncControls();
+        this.initHistory();
+        this.initCoverImages();
+
+        // Open the in-site reader if the URL points at a post
+        if (typeof BlogReader !== 'undefined') {
+            this.reader = new BlogReader(this);
+            this.reader.init();
+        }
+
+        // Enriched posts bring their real categories and authors
+        this.onPostsEnriched = () => {
+            this.renderCategoryButtons();
+            this.renderAuthorFilter();
+            this.renderSourceFilter();
+            if (this.reader) this.reader.renderRelated();
+        };
+
+        await this.load();
+    }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    const blogLoader = new BlogLoader();
+if (typeof module !== 'undefined' && module.exports) {
+    // Node (build scripts): export the class instead of touching the DOM
+    module.exports = BlogLoader;
+} else {
+    // Initialize when DOM is ready
+    document.addEventListener('DOMContentLoaded', () => {
+        const blogLoader = new BlogLoader();
     
-    // Check if we're on the blog page or homepage
-    const isBlogPage = document.querySelector('.blog-posts') !== null;
-    const isHomepage = document.querySelector('.latest-news .news-grid') !== null;
+        // Check if we're on the blog page or homepage
+        const isBlogPage = document.querySelector('.blog-posts') !== null;
+        const isHomepage = document.querySelector('.latest-news .news-grid') !== null;
     
-    if (isBlogPage) {
-        // Initialize full blog page
-        blogLoader.init();
-    } else if (isHomepage) {
-        // Initialize homepage blog section (only latest 2 posts)
-        blogLoader.initHomepage();
-    }
-});
-
+        if (isBlogPage) {
+            // Initialize full blog page (page size is set on the grid)
+            const postsGrid = document.querySelector('.posts-grid');
+            const pageSize = postsGrid ? parseInt(postsGrid.dataset.pageSize, 10) : NaN;
+            if (pageSize > 0) blogLoader.pageSize = pageSize;
+            blogLoader.init();
+        } else if (isHomepage) {
+            // Initialize homepage blog section (only latest 2 posts)
+            blogLoader.initHomepage();
+        }
+    });
+}
@@ -0,0 +1,232 @@
+/**
+ * Blog Reader
+ * Renders a post's Markdown source inside blog.html for reader routes
+ * such as blog.html#/2025/01/07/slug
+ */
+
+class BlogReader {
+    constructor(loader) {
+        this.loader = loader;
+        this.requestId = 0;
+
+        // Sections of the post listing that the reader replaces
+        this.listSelectors = ['.page-header', '.featured-article', '.blog-categories', '.blog-posts', '.blog-archive'];
+        this.defaultTitle = document.title;
+    }
+
+    /**
+     * Extract the post route from the location hash, or null
+     */
+    getRouteFromHash() {
+        const match = window.location.hash.match(/^#(\/\d{4}\/\d{2}\/\d{2}\/[^?#]+)$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Toggle between the post listing and the reader
+     */
+    setReaderVisible(visible) {
+        const reader = document.querySelector('.blog-reader');
+        if (reader) reader.hidden = !visible;
+
+        this.listSelectors.forEach(selector => {
+            const section = document.querySelector(selector);
+            if (section) section.hidden = visible;
+        });
+    }
+
+    /**
+     * Find a loaded post for a route
+     */
+    findPost(route) {
+        return this.loader.posts.find(post => this.loader.getPostRoute(post) === route) || null;
+    }
+
+    /**
+     * Show the reader for the current hash, or the listing when there is none
+     */
+    async handleRoute() {
+        const route = this.getRouteFromHash();
+        if (!route) {
+            this.requestId++;
+            this.setReaderVisible(false);
+            document.title = this.defaultTitle;
+            return false;
+        }
+
+        await this.open(route);
+        return true;
+    }
+
+    /**
+     * Load and render the post for a route
+     */
+    async open(route) {
+        const requestId = ++this.requestId;
+        const header = document.querySelector('.reader-header');
+        const content = document.querySelector('.reader-content');
+        const toc = document.querySelector('.reader-toc');
+        if (!header || !content) return;
+
+        this.setReaderVisible(true);
+        window.scrollTo({ top: 0 });
+
+        const post = this.findPost(route) || { url: new URL(route.slice(1), this.loader.blogUrl).href };
+
+        HtmlTemplate.render(header, post.title ? HtmlTemplate.html`<h1>${post.title}</h1>` : '');
+        HtmlTemplate.render(content, HtmlTemplate.html`
+            <div class="reader-status">
+                <i class="fas fa-spinner fa-spin"></i>
+                <p>Loading article...</p>
+            </div>
+        `);
+        if (toc) toc.innerHTML = '';
+        this.renderRelated();
+
+        const source = await this.loader.fetchPostSource(post);
+        if (requestId !== this.requestId) return;
+
+        if (!source) {
+            HtmlTemplate.render(content, HtmlTemplate.html`
+                <div class="reader-status">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <p>This article could not be loaded here.</p>
+                    <a href="${post.url}" class="btn btn-outline" target="_blank" rel="noopener">Read it on blog.mlc.ai</a>
+                </div>
+            `);
+            return;
+        }
+
+        const { frontMatter, body } = this.loader.parseFrontMatter(source);
+        const renderer = new MarkdownRenderer({ baseUrl: post.url, siteUrl: this.loader.blogUrl, allowHtml: true });
+        const { html, headings } = renderer.render(body);
+
+        const title = post.title || (frontMatter.title ? String(frontMatter.title) : 'Untitled');
+        const stats = this.loader.getMarkdownReadingStats(body);
+        const authors = this.loader.toAuthorList(frontMatter.authors || frontMatter.author || post.authors);
+        this.renderHeader(header, { ...post, ...stats, authors, title }, frontMatter);
+        HtmlTemplate.render(content, html);
+        if (toc) this.renderToc(toc, headings);
+        this.typesetMath(content);
+        this.renderRelated();
+
+        document.title = `${title} - MLC`;
+    }
+
+    /**
+     * Render the article title and metadata
+     */
+    renderHeader(header, post, frontMatter) {
+        const date = post.date || (frontMatter.date instanceof Date ? frontMatter.date.toISOString().slice(0, 10) : '');
+        const categories = post.categories || this.loader.toTermList(frontMatter.categories || frontMatter.category);
+        const readingStats = this.loader.formatReadingStats(post);
+
+        HtmlTemplate.render(header, HtmlTemplate.html`
+            <div class="blog-meta">
+                ${categories.map(category => HtmlTemplate.html`<span class="blog-category">${this.loader.formatTermLabel(category)}</span>`)}
+                ${date ? HtmlTemplate.html`<span class="blog-date">${this.loader.formatDate(date)}</span>` : ''}
+                ${post.readTime ? HtmlTemplate.html`<span class="read-time">${post.readTime}</span>` : ''}
+                ${readingStats ? HtmlTemplate.html`<span class="reading-stats">${readingStats}</span>` : ''}
+            </div>
+            <h1>${post.title}</h1>
+            ${this.loader.renderByline(post)}
+            <a href="${post.url}" class="reader-original" target="_blank" rel="noopener">
+                <i class="fas fa-external-link-alt"></i>
+                View on blog.mlc.ai
+            </a>
+        `);
+    }
+
+    /**
+     * Render related posts below the article for the current route
+     */
+    renderRelated() {
+        const related = document.querySelector('.reader-related');
+        if (!related) return;
+
+        const route = this.getRouteFromHash();
+        const post = route ? this.findPost(route) : null;
+        HtmlTemplate.render(related, post ? this.loader.renderRelatedPosts(post) : '');
+    }
+
+    /**
+     * Render a table of contents from h2/h3 headings
+     */
+    renderToc(toc, headings) {
+        const entries = headings.filter(heading => heading.level === 2 || heading.level === 3);
+        if (entries.length < 2) {
+            toc.innerHTML = '';
+            return;
+        }
+
+        HtmlTemplate.render(toc, HtmlTemplate.html`
+            <h4>Contents</h4>
+            <ul>
+                ${entries.map(heading => HtmlTemplate.html`
+                    <li class="toc-level-${heading.level}">
+                        <a href="#${heading.id}" data-target="${heading.id}">${heading.text}</a>
+                    </li>
+                `)}
+            </ul>
+        `);
+    }
+
+    /**
+     * Typeset TeX with KaTeX auto-render when it is loaded
+     */
+    typesetMath(element) {
+        if (typeof window.renderMathInElement !== 'function') return;
+
+        try {
+            window.renderMathInElement(element, {
+                delimiters: [
+                    { left: '$$', right: '$$', display: true },
+                    { left: '\\[', right: '\\]', display: true },
+                    { left: '\\(', right: '\\)', display: false },
+                    { left: '$', right: '$', display: false }
+                ],
+                throwOnError: false
+            });
+        } catch (e) {
+            console.warn('Error rendering math:', e);
+        }
+    }
+
+    /**
+     * In-page anchors (#heading) must scroll instead of replacing the route
+     */
+    handleAnchorClick(event) {
+        const link = event.target.closest('a[href^="#"]');
+        if (!link || link.getAttribute('href').startsWith('#/')) return;
+
+        event.preventDefault();
+        const id = link.dataset.target || decodeURIComponent(link.getAttribute('href').slice(1));
+        const target = document.getElementById(id);
+        if (target) {
+            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * Bind routing and navigation, then render the current route
+     */
+    init() {
+        const reader = document.querySelector('.blog-reader');
+        if (!reader) return Promise.resolve(false);
+
+        window.addEventListener('hashchange', () => this.handleRoute());
+        reader.addEventListener('click', event => this.handleAnchorClick(event));
+
+        // "All posts" drops the route without reloading the page
+        const back = reader.querySelector('.reader-back');
+        if (back) {
+            back.addEventListener('click', event => {
+                event.preventDefault();
+                history.pushState(null, '', window.location.pathname + window.location.search);
+                this.handleRoute();
+            });
+        }
+
+        return this.handleRoute();
+    }
+}
@@ -0,0 +1,239 @@
+/**
+ * Blog Search
+ * In-memory inverted index over blog posts with field-weighted TF-IDF
+ * ranking, match highlighting and related-post similarity. Built from the
+ * loaded (or cached) posts, so it works without network access.
+ */
+
+class BlogSearchIndex {
+    constructor(posts = []) {
+        // Matches in titles and taxonomy count for more than body matches
+        this.fieldWeights = {
+            title: 5,
+            tags: 3,
+            categories: 3,
+            excerpt: 2,
+            body: 1
+        };
+        this.stopWords = new Set([
+            'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+            'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'with', 'we', 'our'
+        ]);
+
+        this.build(posts);
+    }
+
+    /**
+     * Split text into normalized terms
+     */
+    tokenize(text) {
+        return (text || '')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term && !this.stopWords.has(term))
+            .map(term => this.normalizeTerm(term));
+    }
+
+    /**
+     * Light stemming so "engines" matches "engine" and "decoding" matches "decode"
+     */
+    normalizeTerm(term) {
+        let stem = term;
+        if (stem.length > 4 && stem.endsWith('ies')) {
+            stem = stem.slice(0, -3) + 'y';
+        } else if (stem.length > 3 && stem.endsWith('s') && !stem.endsWith('ss')) {
+            stem = stem.slice(0, -1);
+        }
+        if (stem.length > 5 && stem.endsWith('ing')) {
+            stem = stem.slice(0, -3);
+        } else if (stem.length > 4 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+        return stem;
+    }
+
+    /**
+     * Collect the searchable text of each field of a post
+     */
+    getFields(post) {
+        let body = post.body || '';
+        if (!body && post.content) {
+            body = typeof FeedParser !== 'undefined' ? FeedParser.htmlToText(post.content) : post.content;
+        }
+
+        return {
+            title: post.title || '',
+            tags: (post.tags || []).join(' '),
+            categories: (post.categories || []).join(' '),
+            excerpt: post.excerpt || '',
+            body
+        };
+    }
+
+    /**
+     * Build the inverted index: term -> Map(docIndex -> weighted frequency)
+     */
+    build(posts) {
+        this.posts = posts;
+        this.index = new Map();
+        this.vectors = null;
+
+        // Posts are replaced by enriched copies, so they're found by URL
+        this.docIndexByUrl = new Map(posts.map((post, docIndex) => [post.url, docIndex]));
+
+        posts.forEach((post, docIndex) => {
+            const fields = this.getFields(post);
+
+            Object.keys(fields).forEach(field => {
+                const weight = this.fieldWeights[field];
+                this.tokenize(fields[field]).forEach(term => {
+                    if (!this.index.has(term)) this.index.set(term, new Map());
+                    const postings = this.index.get(term);
+                    postings.set(docIndex, (postings.get(docIndex) || 0) + weight);
+                });
+            });
+        });
+
+        this.terms = Array.from(this.index.keys());
+    }
+
+    /**
+     * Expand a query term to indexed terms (the last term also matches as a
+     * prefix so results update while typing)
+     */
+    expandTerm(term, allowPrefix) {
+        const matches = this.index.has(term) ? [term] : [];
+        if (allowPrefix && term.length >= 2) {
+            this.terms.forEach(indexed => {
+                if (indexed !== term && indexed.startsWith(term)) matches.push(indexed);
+            });
+        }
+        return matches;
+    }
+
+    /**
+     * Search posts; returns [{ post, score, terms }] best first
+     */
+    search(query) {
+        const queryTerms = Array.from(new Set(this.tokenize(query)));
+        if (queryTerms.length === 0 || this.posts.length === 0) return [];
+
+        const scores = new Map();
+        const matchedTerms = new Map();
+        const docCount = this.posts.length;
+
+        queryTerms.forEach((term, termIndex) => {
+            const expanded = this.expandTerm(term, termIndex === queryTerms.length - 1);
+
+            expanded.forEach(indexed => {
+                const postings = this.index.get(indexed);
+                const idf = Math.log(1 + docCount / postings.size);
+                // Prefix matches rank below exact matches
+                const exactness = indexed === term ? 1 : 0.6;
+
+                postings.forEach((frequency, docIndex) => {
+                    const termScore = (1 + Math.log(frequency)) * idf * exactness;
+                    scores.set(docIndex, (scores.get(docIndex) || 0) + termScore);
+
+                    if (!matchedTerms.has(docIndex)) matchedTerms.set(docIndex, { query: new Set(), indexed: new Set() });
+                    matchedTerms.get(docIndex).query.add(term);
+                    matchedTerms.get(docIndex).indexed.add(indexed);
+                });
+            });
+        });
+
+        const phrase = query.trim().toLowerCase();
+
+        return Array.from(scores.entries())
+            .map(([docIndex, score]) => {
+                const post = this.posts[docIndex];
+                const matched = matchedTerms.get(docIndex);
+
+                // Favor posts matching every query term, and exact title phrases
+                let finalScore = score * Math.pow(matched.query.size / queryTerms.length, 2);
+                if (phrase.length > 2 && (post.title || '').toLowerCase().includes(phrase)) {
+                    finalScore *= 1.5;
+                }
+
+                return { post, score: finalScore, terms: Array.from(matched.indexed) };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Unit-length TF-IDF vector (term -> weight) for every post
+     */
+    getVectors() {
+        if (this.vectors) return this.vectors;
+
+        const docCount = this.posts.length;
+        const vectors = this.posts.map(() => new Map());
+
+        this.index.forEach((postings, term) => {
+            const idf = Math.log(1 + docCount / postings.size);
+            postings.forEach((frequency, docIndex) => {
+                vectors[docIndex].set(term, (1 + Math.log(frequency)) * idf);
+            });
+        });
+
+        vectors.forEach(vector => {
+            let norm = 0;
+            vector.forEach(weight => { norm += weight * weight; });
+            norm = Math.sqrt(norm) || 1;
+            vector.forEach((weight, term) => vector.set(term, weight / norm));
+        });
+
+        this.vectors = vectors;
+        return vectors;
+    }
+
+    /**
+     * Posts most similar to the given one (matched by URL) by cosine
+     * similarity of their TF-IDF vectors; returns [{ post, score }] best first
+     */
+    similar(post, limit = 3, minScore = 0.05) {
+        const docIndex = this.docIndexByUrl.has(post.url) ? this.docIndexByUrl.get(post.url) : -1;
+        if (docIndex === -1) return [];
+
+        const vectors = this.getVectors();
+        const source = vectors[docIndex];
+
+        return vectors
+            .map((vector, index) => {
+                if (index === docIndex) return null;
+
+                // Walk the smaller vector
+                const [small, large] = vector.size < source.size ? [vector, source] : [source, vector];
+                let score = 0;
+                small.forEach((weight, term) => {
+                    const other = large.get(term);
+                    if (other) score += weight * other;
+                });
+                return { post: this.posts[index], score };
+            })
+            .filter(result => result && result.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Wrap words matching the given index terms in <mark>; returns an
+     * HtmlTemplate value with the text escaped
+     */
+    highlight(text, terms) {
+        if (!text) return '';
+        if (!terms || terms.length === 0) return HtmlTemplate.html`${text}`;
+
+        const termSet = new Set(terms);
+        const parts = text
+            .split(/([\p{L}\p{N}]+)/u)
+            .map(part => /^[\p{L}\p{N}]+$/u.test(part) && termSet.has(this.normalizeTerm(part.toLowerCase()))
+                ? HtmlTemplate.html`<mark>${part}</mark>`
+                : part);
+        return HtmlTemplate.html`${parts}`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BlogSearchIndex;
+}
@@ -0,0 +1,153 @@
+/**
+ * Persistent Cache
+ * localStorage-backed stale-while-revalidate cache shared by the loaders.
+ * Falls back to an in-memory store when localStorage is unavailable.
+ */
+
+class MLCCache {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'mlc-cache:';
+        this.memory = new Map();
+        this.storage = options.storage !== undefined ? options.storage : this.detectStorage();
+    }
+
+    /**
+     * Return localStorage if it is usable (it throws in some private modes)
+     */
+    detectStorage() {
+        try {
+            const storage = window.localStorage;
+            const probe = this.prefix + '__probe__';
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+            return storage;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a cache entry ({ value, storedAt }) or null
+     */
+    get(key) {
+        const fullKey = this.prefix + key;
+
+        if (!this.storage) {
+            return this.memory.get(fullKey) || null;
+        }
+
+        try {
+            const raw = this.storage.getItem(fullKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            console.warn(`Discarding unreadable cache entry ${key}:`, e);
+            this.remove(key);
+            return null;
+        }
+    }
+
+    /**
+     * Write a value; storage quota errors only cost the persistence
+     */
+    set(key, value) {
+        const fullKey = this.prefix + key;
+        const entry = { value, storedAt: Date.now() };
+
+        this.memory.set(fullKey, entry);
+        if (!this.storage) return entry;
+
+        try {
+            this.storage.setItem(fullKey, JSON.stringify(entry));
+        } catch (e) {
+            console.warn(`Unable to persist cache entry ${key}:`, e);
+        }
+        return entry;
+    }
+
+    /**
+     * Remove a single entry
+     */
+    remove(key) {
+        const fullKey = this.prefix + key;
+        this.memory.delete(fullKey);
+        if (this.storage) {
+            try {
+                this.storage.removeItem(fullKey);
+            } catch (e) {
+                // no-op
+            }
+        }
+    }
+
+    /**
+     * Remove every entry written by this cache
+     */
+    clear() {
+        this.memory.clear();
+        if (!this.storage) return;
+
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.startsWith(this.prefix)) keys.push(key);
+        }
+        keys.forEach(key => this.storage.removeItem(key));
+    }
+
+    /**
+     * Check whether an entry is younger than the given TTL (ms)
+     */
+    isFresh(entry, ttl) {
+        return !!entry && Date.now() - entry.storedAt < ttl;
+    }
+
+    /**
+     * Stale-while-revalidate:
+     * - calls onData immediately with any cached value,
+     * - refetches in the background when the entry is older than ttl
+     *   (or when force is set),
+     * - calls onData again only if the fetched value differs.
+     * Resolves with the latest value; rejects only when there is neither a
+     * cached value nor a successful fetch.
+     */
+    async staleWhileRevalidate(key, fetcher, { ttl, onData, force = false }) {
+        const cached = this.get(key);
+
+        if (cached) {
+            onData(cached.value, { fromCache: true, storedAt: cached.storedAt });
+            if (!force && this.isFresh(cached, ttl)) {
+                return cached.value;
+            }
+        }
+
+        let value;
+        try {
+            value = await fetcher();
+        } catch (error) {
+            if (cached) {
+                console.warn(`Revalidating ${key} failed, keeping cached data:`, error);
+                return cached.value;
+            }
+            throw error;
+        }
+
+        const changed = !cached || JSON.stringify(cached.value) !== JSON.stringify(value);
+        const entry = this.set(key, value);
+
+        if (changed) {
+            onData(value, { fromCache: false, storedAt: entry.storedAt });
+        }
+        return value;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MLCCache;
+} else {
+    // Shared instance; run mlcCache.clear() in the console (or open any page
+    // with ?clear-cache) to drop cached posts and stats while debugging
+    window.mlcCache = new MLCCache();
+    if (new URLSearchParams(window.location.search).has('clear-cache')) {
+        window.mlcCache.clear();
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * Community Stats Loader
+ * Extends GitHubStatsLoader with the live numbers on community.html: stars,
+ * unique contributors and merged pull requests of the repos that count
+ * toward the homepage totals (the listed projects, and the org repos only
+ * when discovery counts toward them), and Discord members. Each .stat-card
+ * names its metric with data-metric; the Discord card names its endpoint
+ * with data-widget-url (an invite URL with ?with_counts=true, or a server's
+ * widget.json).
+ */
+
+class CommunityStatsLoader extends GitHubStatsLoader {
+    constructor(options = {}) {
+        super(options);
+        this.discordUrl = options.discordUrl || null;
+
+        // Contributor lists are paged 100 at a time; cap the requests per repo.
+        // A repo with more contributors makes the count a lower bound.
+        this.maxContributorPages = options.maxContributorPages || 5;
+
+        // Metrics that couldn't be loaded, and when rate-limited values were fetched
+        this.failedMetrics = [];
+        this.cachedTimes = [];
+    }
+
+    /**
+     * GET through the GitHub client, noting when a cached response stands in
+     */
+    async githubGet(path) {
+        const result = await this.github.get(path);
+        if (result.rateLimited) this.cachedTimes.push(result.fetchedAt);
+        return result;
+    }
+
+    /**
+     * Check for bot accounts (dependabot[bot], github-actions[bot], ...)
+     */
+    isBot(contributor) {
+        return contributor.type === 'Bot' || /\[bot\]$/i.test(contributor.login);
+    }
+
+    /**
+     * Logins of a repository's contributors, lowercased ({ logins, capped });
+     * capped is true when the list goes on past maxContributorPages
+     */
+    async fetchContributors(repoPath) {
+        const logins = [];
+        for (let page = 1; page <= this.maxContributorPages; page++) {
+            const { data } = await this.githubGet(`/repos/${repoPath}/contributors?per_page=100&page=${page}`);
+            // Empty repositories answer 204 with no list
+            const contributors = Array.isArray(data) ? data : [];
+
+            contributors
+                .filter(contributor => contributor.login && !this.isBot(contributor))
+                .forEach(contributor => logins.push(contributor.login.toLowerCase()));
+            if (contributors.length < 100) return { logins, capped: false };
+        }
+        return { logins, capped: true };
+    }
+
+    /**
+     * Number of people who contributed to any of the repositories, each
+     * counted once ({ count, capped }). Fails if any list is missing; when a
+     * list was cut off at maxContributorPages, capped marks the count as a
+     * lower bound.
+     */
+    async countContributors(repos) {
+        const { results, failed } = await FetchScheduler.settle(repos, repo => this.fetchContributors(repo));
+        if (failed.length > 0) {
+            throw new Error(`Contributors of ${failed.map(({ item }) => item).join(', ')} couldn't be fetched`);
+        }
+
+        return {
+            count: new Set(results.flatMap(({ value }) => value.logins)).size,
+            capped: results.some(({ value }) => value.capped)
+        };
+    }
+
+    /**
+     * Merged pull requests across the repositories (one search request)
+     */
+    async countMergedPulls(repos) {
+        const query = ['is:pr', 'is:merged', ...repos.map(repo => `repo:${repo}`)].join(' ');
+        const { data } = await this.githubGet(`/search/issues?q=${encodeURIComponent(query)}&per_page=1`);
+        if (!data || typeof data.total_count !== 'number') throw new Error('Unexpected search response');
+
+        return data.total_count;
+    }
+
+    /**
+     * Discord member and online counts ({ members, online }); widget.json
+     * only reports who is online
+     */
+    async fetchDiscordCounts() {
+        if (!this.discordUrl) throw new Error('No Discord widget endpoint configured');
+
+        const response = await this.scheduler.fetch(this.discordUrl);
+        if (!response.ok) throw new Error(`Discord widget request failed: ${response.status}`);
+
+        const data = await response.json();
+        const members = data.approximate_member_count;
+        const online = data.approximate_presence_count !== undefined ? data.approximate_presence_count : data.presence_count;
+        if (typeof members !== 'number' && typeof online !== 'number') {
+            throw new Error('Discord widget response has no member counts');
+        }
+
+        return {
+            members: typeof members === 'number' ? members : null,
+            online: typeof online === 'number' ? online : null
+        };
+    }
+
+    /**
+     * Fetch every metric; the ones that fail are listed in failedMetrics
+     */
+    async fetchCommunityStats() {
+        this.cachedTimes = [];
+        const totals = await this.fetchAllStats();
+
+        const tasks = {
+            contributors: () => this.countContributors(this.repos),
+            pulls: () => this.countMergedPulls(this.repos),
+            discord: () => this.fetchDiscordCounts()
+        };
+        // Without repos there is nothing to count on GitHub
+        const metrics = this.repos.length ? Object.keys(tasks) : ['discord'];
+        const { results, failed } = await FetchScheduler.settle(metrics, metric => tasks[metric]());
+        failed.forEach(({ item, error }) => console.error(`Error fetching community ${item}:`, error));
+
+        const values = {};
+        results.forEach(({ item, value }) => {
+            values[item] = value;
+        });
+
+        const cachedTimes = this.cachedTimes.concat(totals.asOf ? [totals.asOf] : []);
+        this.failedMetrics = Object.keys(tasks).filter(metric => !(metric in values));
+        if (!totals.fetched) this.failedMetrics.unshift('stars');
+
+        return {
+            ...totals,
+            stars: totals.fetched ? totals.stars : null,
+            contributors: values.contributors !== undefined ? values.contributors.count : null,
+            contributorsCapped: values.contributors !== undefined && values.contributors.capped,
+            pulls: values.pulls !== undefined ? values.pulls : null,
+            discord: values.discord || null,
+            asOf: cachedTimes.length ? Math.min(...cachedTimes) : null,
+            failedMetrics: this.failedMetrics.slice()
+        };
+    }
+
+    /**
+     * Set a stat card's number, label and description; atLeast shows the
+     * number as a lower bound ("5.2K+")
+     */
+    renderCard(metric, { number, label, description, atLeast = false }) {
+        const card = document.querySelector(`.community-stats .stat-card[data-metric="${metric}"]`);
+        if (!card) return;
+
+        const numberEl = card.querySelector('.stat-number');
+        HtmlTemplate.render(numberEl, number === null ? '-' : `${this.formatNumber(number)}${atLeast ? '+' : ''}`);
+        if (number !== null) numberEl.title = `${atLeast ? 'At least ' : ''}${number.toLocaleString('en-US')}`;
+        if (label) HtmlTemplate.render(card.querySelector('.stat-label'), label);
+        if (description) HtmlTemplate.render(card.querySelector('.stat-description'), description);
+        card.classList.toggle('is-unavailable', number === null);
+    }
+
+    /**
+     * Render the metrics into the stat cards
+     */
+    renderStats(stats, { fromCache = false, storedAt = null } = {}) {
+        // Cached results carry their per-repo stats and failures
+        this.repoStats = new Map(Object.entries(stats.repos || {}));
+        this.failedRepos = stats.failed || [];
+        this.failedMetrics = stats.failedMetrics || [];
+
+        const repoCount = Object.keys(stats.repos || {}).length;
+        const projects = `${repoCount} ${repoCount === 1 ? 'project' : 'projects'}`;
+        const unavailable = 'Unavailable right now';
+
+        this.renderCard('stars', {
+            number: stats.stars,
+            description: stats.stars === null ? unavailable : `Across ${projects}`
+        });
+        this.renderCard('contributors', {
+            number: stats.contributors,
+            atLeast: Boolean(stats.contributorsCapped),
+            description: stats.contributors === null ? unavailable
+                : stats.contributorsCapped ? `Unique contributors to ${projects}, counting the first ${this.maxContributorPages * 100} of each`
+                : `Unique contributors to ${projects}`
+        });
+        this.renderCard('pulls', {
+            number: stats.pulls,
+            description: stats.pulls === null ? unavailable : 'Community contributions'
+        });
+
+        const discord = stats.discord;
+        if (discord && discord.members === null) {
+            // widget.json has no member count, so show who is online instead
+            this.renderCard('discord', {
+                number: discord.online,
+                label: 'Online on Discord',
+                description: 'Daily discussions and support'
+            });
+        } else {
+            this.renderCard('discord', {
+                number: discord ? discord.members : null,
+                label: 'Discord Members',
+                description: !discord ? unavailable
+                    : discord.online !== null ? `${this.formatNumber(discord.online)} online now`
+                    : 'Daily discussions and support'
+            });
+        }
+
+        this.renderStatus(stats, { fromCache, storedAt });
+    }
+
+    /**
+     * Show the as-of and partial-failure notices below the cards
+     */
+    renderStatus(stats, { fromCache = false, storedAt = null } = {}) {
+        const statsGrid = document.querySelector('.community-stats .stats-grid');
+        if (!statsGrid) return;
+
+        let status = statsGrid.querySelector('.stats-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'stats-status';
+            status.setAttribute('role', 'status');
+            statsGrid.appendChild(status);
+        }
+
+        const rateLimited = this.github.isRateLimited();
+        const asOf = stats.asOf || (fromCache && rateLimited ? storedAt : null);
+        const failedCount = this.failedMetrics.length + this.failedRepos.length;
+
+        status.hidden = !asOf && failedCount === 0;
+        HtmlTemplate.render(status, HtmlTemplate.html`
+            ${asOf ? HtmlTemplate.html`
+            <span>
+                <i class="fas fa-history"></i>
+                As of ${this.formatTime(asOf)}: GitHub's rate limit was reached, so some numbers are the last known values.
+            </span>` : ''}
+            ${failedCount ? HtmlTemplate.html`
+            <span>Some numbers couldn't be loaded.</span>
+            <button type="button" class="btn btn-outline retry-btn">
+                <i class="fas fa-redo"></i>
+                Retry
+            </button>` : ''}
+        `);
+
+        const retryButton = status.querySelector('.retry-btn');
+        if (retryButton) {
+            retryButton.addEventListener('click', async () => {
+                retryButton.disabled = true;
+                this.showLoading();
+                const stats = await this.fetchCommunityStats();
+                this.cache.set('community-stats', stats);
+                this.renderStats(stats);
+            });
+        }
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        document.querySelectorAll('.community-stats .stat-card[data-metric] .stat-number').forEach(numberEl => {
+            HtmlTemplate.render(numberEl, HtmlTemplate.html`<i class="fas fa-spinner fa-spin"></i>`);
+        });
+    }
+
+    /**
+     * Show error state with a Retry button
+     */
+    showError() {
+        this.failedMetrics = ['stars', 'contributors', 'pulls', 'discord'];
+        this.renderStats({ stars: null, contributors: null, pulls: null, discord: null, repos: {}, failed: [], failedMetrics: this.failedMetrics });
+    }
+
+    /**
+     * Initialize the community metrics
+     */
+    async init() {
+        this.showLoading();
+
+        try {
+            // Don't cache a run where nothing could be fetched
+            const fetcher = async () => {
+                const stats = await this.fetchCommunityStats();
+                if (stats.failedMetrics.length === 4) throw new Error('No community stats could be fetched');
+                return stats;
+            };
+
+            await this.cache.staleWhileRevalidate('community-stats', fetcher, {
+                ttl: this.cacheTtl,
+                onData: (stats, meta) => this.renderStats(stats, meta)
+            });
+        } catch (error) {
+            console.error('Error initializing community stats:', error);
+            this.showError();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommunityStatsLoader;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        const discordCard = document.querySelector('.community-stats .stat-card[data-metric="discord"]');
+        if (document.querySelector('.community-stats .stat-card[data-metric]')) {
+            const communityStats = new CommunityStatsLoader({
+                discordUrl: discordCard ? discordCard.dataset.widgetUrl : null
+            });
+            communityStats.init();
+        }
+    });
+}
@@ -0,0 +1,301 @@
+/**
+ * Feed Parser
+ * Parses Atom and RSS 2.0 feeds into plain post entries.
+ * Works on the raw XML string (no DOMParser needed) so the same code can run
+ * in the browser and in Node scripts against local fixture files.
+ */
+
+class FeedParser {
+    /**
+     * Decode XML/HTML character entities
+     */
+    static decodeEntities(text) {
+        if (!text) return '';
+
+        const named = {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '
+        };
+
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x'
+                    ? parseInt(entity.slice(2), 16)
+                    : parseInt(entity.slice(1), 10);
+                return isNaN(code) ? match : String.fromCodePoint(code);
+            }
+            const value = named[entity.toLowerCase()];
+            return value !== undefined ? value : match;
+        });
+    }
+
+    /**
+     * Strip HTML tags and collapse whitespace
+     */
+    static htmlToText(html) {
+        if (!html) return '';
+
+        return FeedParser.decodeEntities(
+            html
+                .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+                .replace(/<[^>]+>/g, ' ')
+        ).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Parse attributes from the inside of a start tag
+     */
+    parseAttributes(source) {
+        const attributes = {};
+        const attrRegex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = attrRegex.exec(source)) !== null) {
+            const value = match[3] !== undefined ? match[3] : match[4];
+            attributes[match[1]] = FeedParser.decodeEntities(value);
+        }
+        return attributes;
+    }
+
+    /**
+     * Build a lightweight element tree ({ name, attributes, children, text })
+     * from an XML string
+     */
+    parseXml(xml) {
+        const root = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [root];
+        const tokenRegex = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+        let match;
+
+        while ((match = tokenRegex.exec(xml)) !== null) {
+            const current = stack[stack.length - 1];
+
+            if (match[1] !== undefined) {
+                // CDATA section: raw text
+                current.text += match[1];
+            } else if (match[2] !== undefined) {
+                // Closing tag: pop back to the matching element
+                for (let i = stack.length - 1; i > 0; i--) {
+                    if (stack[i].name === match[2]) {
+                        stack.length = i;
+                        break;
+                    }
+                }
+            } else if (match[3] !== undefined) {
+                const element = {
+                    name: match[3],
+                    attributes: this.parseAttributes(match[4] || ''),
+                    children: [],
+                    text: ''
+                };
+                current.children.push(element);
+                if (match[5] !== '/') {
+                    stack.push(element);
+                }
+            } else if (match[6] !== undefined) {
+                current.text += FeedParser.decodeEntities(match[6]);
+            }
+        }
+
+        return root;
+    }
+
+    /**
+     * Find the first descendant element with one of the given names
+     */
+    find(element, ...names) {
+        if (!element) return null;
+        for (const child of element.children) {
+            if (names.includes(child.name)) return child;
+            const found = this.find(child, ...names);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Get direct children with one of the given names
+     */
+    childrenNamed(element, ...names) {
+        if (!element) return [];
+        return element.children.filter(child => names.includes(child.name));
+    }
+
+    /**
+     * Get trimmed text of the first direct child with one of the given names
+     */
+    childText(element, ...names) {
+        const child = this.childrenNamed(element, ...names)[0];
+        return child ? child.text.trim() : '';
+    }
+
+    /**
+     * Normalize a feed date (ISO 8601 or RFC 822) to YYYY-MM-DD
+     */
+    normalizeDate(value) {
+        if (!value) return null;
+
+        // ISO and RFC 822 dates keep their calendar day regardless of the timezone
+        const isoMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (isoMatch) {
+            return `${isoMatch[1]}-${isoMatch[2]}-${isoMatch[3]}`;
+        }
+
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const rfcMatch = value.match(/^(?:[a-z]{3},?\s+)?(\d{1,2})\s+([a-z]{3})[a-z]*\s+(\d{4})\b/i);
+        if (rfcMatch && months.includes(rfcMatch[2].toLowerCase())) {
+            const month = String(months.indexOf(rfcMatch[2].toLowerCase()) + 1).padStart(2, '0');
+            return `${rfcMatch[3]}-${month}-${rfcMatch[1].padStart(2, '0')}`;
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const year = date.getUTCFullYear();
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Resolve a possibly relative link against the feed's base URL
+     */
+    resolveUrl(href, baseUrl) {
+        if (!href) return '';
+        try {
+            return baseUrl ? new URL(href, baseUrl).href : href;
+        } catch (e) {
+            return href;
+        }
+    }
+
+    /**
+     * Get an entry's image from media:thumbnail, media:content or an image
+     * enclosure; returns { url, width, height } or null
+     */
+    parseImage(element, baseUrl) {
+        const media = this.childrenNamed(element, 'media:thumbnail')[0] ||
+            this.childrenNamed(element, 'media:content')
+                .find(content => content.attributes.medium === 'image' || /^image\//.test(content.attributes.type || '')) ||
+            this.childrenNamed(element, 'enclosure', 'link')
+                .find(link => /^image\//.test(link.attributes.type || '') && (link.name === 'enclosure' || link.attributes.rel === 'enclosure'));
+        if (!media) return null;
+
+        const url = media.attributes.url || media.attributes.href;
+        if (!url) return null;
+
+        return {
+            url: this.resolveUrl(url, baseUrl),
+            width: parseInt(media.attributes.width, 10) || null,
+            height: parseInt(media.attributes.height, 10) || null
+        };
+    }
+
+    /**
+     * Parse an Atom <entry>
+     */
+    parseAtomEntry(entry, baseUrl) {
+        const links = this.childrenNamed(entry, 'link');
+        const alternate = links.find(link => !link.attributes.rel || link.attributes.rel === 'alternate') || links[0];
+
+        const authors = this.childrenNamed(entry, 'author')
+            .map(author => ({
+                name: this.childText(author, 'name'),
+                uri: this.childText(author, 'uri'),
+                email: this.childText(author, 'email')
+            }))
+            .filter(author => author.name);
+
+        const categories = this.childrenNamed(entry, 'category')
+            .map(category => category.attributes.term || category.attributes.label || category.text.trim())
+            .filter(Boolean);
+
+        return {
+            id: this.childText(entry, 'id'),
+            title: FeedParser.htmlToText(this.childText(entry, 'title')),
+            url: this.resolveUrl(alternate ? alternate.attributes.href : '', baseUrl),
+            date: this.normalizeDate(this.childText(entry, 'published', 'updated')),
+            rawDate: this.childText(entry, 'published', 'updated'),
+            summary: FeedParser.htmlToText(this.childText(entry, 'summary')),
+            content: this.childText(entry, 'content'),
+            image: this.parseImage(entry, baseUrl),
+            authors,
+            categories
+        };
+    }
+
+    /**
+     * Parse an RSS 2.0 <item>
+     */
+    parseRssItem(item, baseUrl) {
+        const authors = this.childrenNamed(item, 'author', 'dc:creator')
+            .map(author => author.text.trim())
+            // RSS <author> is "email (Name)"; keep the name when present
+            .map(author => {
+                const nameMatch = author.match(/^(\S+@\S+)\s*\(([^)]+)\)$/);
+                return nameMatch
+                    ? { name: nameMatch[2].trim(), uri: '', email: nameMatch[1] }
+                    : { name: author, uri: '', email: '' };
+            })
+            .filter(author => author.name);
+
+        const categories = this.childrenNamed(item, 'category')
+            .map(category => category.text.trim())
+            .filter(Boolean);
+
+        const link = this.childText(item, 'link');
+        const guid = this.childText(item, 'guid');
+
+        return {
+            id: guid || link,
+            title: FeedParser.htmlToText(this.childText(item, 'title')),
+            url: this.resolveUrl(link || guid, baseUrl),
+            date: this.normalizeDate(this.childText(item, 'pubDate', 'dc:date')),
+            rawDate: this.childText(item, 'pubDate', 'dc:date'),
+            summary: FeedParser.htmlToText(this.childText(item, 'description')),
+            content: this.childText(item, 'content:encoded'),
+            image: this.parseImage(item, baseUrl),
+            authors,
+            categories
+        };
+    }
+
+    /**
+     * Parse an Atom or RSS 2.0 document
+     * Returns { format, title, link, entries }
+     */
+    parse(xml, baseUrl = '') {
+        const doc = this.parseXml(xml || '');
+
+        const feed = this.find(doc, 'feed');
+        if (feed) {
+            const links = this.childrenNamed(feed, 'link');
+            const alternate = links.find(link => link.attributes.rel === 'alternate') || links[0];
+            const link = this.resolveUrl(alternate ? alternate.attributes.href : '', baseUrl) || baseUrl;
+
+            return {
+                format: 'atom',
+                title: FeedParser.htmlToText(this.childText(feed, 'title')),
+                link,
+                entries: this.childrenNamed(feed, 'entry').map(entry => this.parseAtomEntry(entry, link || baseUrl))
+            };
+        }
+
+        const channel = this.find(doc, 'channel');
+        if (channel) {
+            const link = this.resolveUrl(this.childText(channel, 'link'), baseUrl) || baseUrl;
+
+            return {
+                format: 'rss',
+                title: FeedParser.htmlToText(this.childText(channel, 'title')),
+                link,
+                entries: this.childrenNamed(channel, 'item').map(item => this.parseRssItem(item, link || baseUrl))
+            };
+        }
+
+        throw new Error('Unrecognized feed format: expected Atom <feed> or RSS <channel>');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeedParser;
+}
@@ -0,0 +1,152 @@
+/**
+ * Fetch Scheduler
+ * Request queue shared by the loaders: limits how many requests run at once,
+ * aborts requests that take too long, and retries transient failures
+ * (network errors, timeouts, 408/429/5xx) with exponential backoff and jitter.
+ *
+ *   const response = await window.mlcFetch.fetch(url, { timeout: 5000 });
+ *
+ * Like fetch(), it resolves with the final response (which may not be ok)
+ * and rejects only when no response arrived.
+ */
+
+class FetchScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 4;
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries !== undefined ? options.retries : 2;
+        this.baseDelay = options.baseDelay || 500;
+        this.maxDelay = options.maxDelay || 8000;
+
+        this.active = 0;
+        this.queue = [];
+    }
+
+    /**
+     * Run a task once a slot is free
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Start queued tasks while slots are free
+     */
+    next() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { task, resolve, reject } = this.queue.shift();
+            this.active++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.active--;
+                    this.next();
+                });
+        }
+    }
+
+    /**
+     * Check whether a status is worth retrying
+     */
+    isTransientStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Delay before a retry: exponential backoff with full jitter, or the
+     * server's Retry-After when it asks for a specific wait
+     */
+    getRetryDelay(attempt, response) {
+        const retryAfter = response && response.headers ? parseInt(response.headers.get('Retry-After'), 10) : NaN;
+        if (retryAfter >= 0) {
+            return Math.min(retryAfter * 1000, this.maxDelay);
+        }
+
+        const backoff = Math.min(this.baseDelay * 2 ** attempt, this.maxDelay);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * One attempt, aborted after the timeout (or when the caller's signal aborts)
+     */
+    async attempt(url, options, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort);
+        }
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (controller.signal.aborted && !(options.signal && options.signal.aborted)) {
+                throw new Error(`Request to ${url} timed out after ${timeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Fetch a URL through the queue. Accepts fetch() options plus
+     * timeout (ms) and retries.
+     */
+    async fetch(url, { timeout = this.timeout, retries = this.retries, ...options } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let response = null;
+            let error = null;
+
+            try {
+                response = await this.schedule(() => this.attempt(url, options, timeout));
+                if (!this.isTransientStatus(response.status)) return response;
+            } catch (e) {
+                error = e;
+            }
+
+            // The caller gave up, or this was the last attempt
+            if ((options.signal && options.signal.aborted) || attempt >= retries) {
+                if (response) return response;
+                throw error;
+            }
+
+            const delay = this.getRetryDelay(attempt, response);
+            console.warn(`Retrying ${url} in ${delay} ms (${error ? error.message : `HTTP ${response.status}`})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    /**
+     * Run a task for every item and collect partial results:
+     * { results: [{ item, value }], failed: [{ item, error }] }
+     */
+    static async settle(items, task) {
+        const outcomes = await Promise.allSettled(items.map(item => task(item)));
+
+        const results = [];
+        const failed = [];
+        outcomes.forEach((outcome, i) => {
+            if (outcome.status === 'fulfilled') {
+                results.push({ item: items[i], value: outcome.value });
+            } else {
+                failed.push({ item: items[i], error: outcome.reason });
+            }
+        });
+        return { results, failed };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FetchScheduler;
+} else {
+    // Shared instance so every loader on the page draws from the same queue
+    window.mlcFetch = new FetchScheduler();
+}
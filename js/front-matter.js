@@ -0,0 +1,367 @@
+/**
+ * Front Matter Parser
+ * Splits Jekyll front matter from Markdown and parses the YAML subset used
+ * in post metadata: nested mappings, block and flow lists, quoted strings,
+ * block scalars (| and >), multi-line plain values, booleans, numbers and
+ * dates.
+ */
+
+class FrontMatterParser {
+    /**
+     * Split content into { frontMatter, body }
+     */
+    parse(content) {
+        const normalized = (content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const frontMatterRegex = /^---[ \t]*\n([\s\S]*?)\n?(?:---|\.\.\.)[ \t]*(?:\n|$)([\s\S]*)$/;
+        const match = normalized.match(frontMatterRegex);
+
+        if (!match) {
+            return { frontMatter: {}, body: normalized };
+        }
+
+        const frontMatter = this.parseYaml(match[1]);
+        return {
+            frontMatter: frontMatter && typeof frontMatter === 'object' && !Array.isArray(frontMatter) ? frontMatter : {},
+            body: match[2]
+        };
+    }
+
+    /**
+     * Parse a YAML document into plain objects, arrays and scalars
+     */
+    parseYaml(text) {
+        const lines = text.split('\n').map(raw => ({
+            raw,
+            indent: raw.match(/^ */)[0].length,
+            text: raw.trim()
+        }));
+        const cursor = { lines, index: 0 };
+
+        const value = this.parseBlock(cursor, 0);
+        return value === null ? {} : value;
+    }
+
+    /**
+     * Advance past blank lines and comment lines
+     */
+    skipBlank(cursor) {
+        while (cursor.index < cursor.lines.length) {
+            const text = cursor.lines[cursor.index].text;
+            if (text !== '' && !text.startsWith('#')) break;
+            cursor.index++;
+        }
+        return cursor.lines[cursor.index] || null;
+    }
+
+    /**
+     * Check whether a line starts a block sequence item
+     */
+    isSequenceItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+
+    /**
+     * Parse a mapping or sequence starting at or beyond minIndent
+     */
+    parseBlock(cursor, minIndent) {
+        const line = this.skipBlank(cursor);
+        if (!line || line.indent < minIndent) return null;
+
+        return this.isSequenceItem(line.text)
+            ? this.parseSequence(cursor, line.indent)
+            : this.parseMapping(cursor, line.indent);
+    }
+
+    /**
+     * Parse "key: value" lines at exactly the given indent
+     */
+    parseMapping(cursor, indent) {
+        const result = {};
+        const keyRegex = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"][^:]*?)\s*:(?:\s+(.*))?$/;
+
+        while (true) {
+            const line = this.skipBlank(cursor);
+            if (!line || line.indent !== indent) break;
+
+            const match = line.text.match(keyRegex);
+            cursor.index++;
+            if (!match) continue;
+
+            const key = String(this.parseScalar(match[1]));
+            result[key] = this.parseValue(cursor, this.stripComment(match[2] || ''), indent);
+        }
+        return result;
+    }
+
+    /**
+     * Parse "- item" lines at exactly the given indent
+     */
+    parseSequence(cursor, indent) {
+        const result = [];
+
+        while (true) {
+            const line = this.skipBlank(cursor);
+            if (!line || line.indent !== indent || !this.isSequenceItem(line.text)) break;
+
+            const rest = line.text.replace(/^-\s*/, '');
+            const itemIndent = line.indent + (line.text.length - rest.length);
+
+            if (/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"[{][^:]*?)\s*:(\s|$)/.test(rest)) {
+                // "- key: value" starts a mapping aligned with the key
+                cursor.lines[cursor.index] = { raw: ' '.repeat(itemIndent) + rest, indent: itemIndent, text: rest };
+                result.push(this.parseMapping(cursor, itemIndent));
+            } else {
+                cursor.index++;
+                result.push(this.parseValue(cursor, this.stripComment(rest), indent));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Parse the value that follows a key or list marker
+     */
+    parseValue(cursor, rest, parentIndent) {
+        if (rest === '') {
+            const next = this.skipBlank(cursor);
+            if (!next) return null;
+            // A sequence may sit at the same indent as its parent key
+            if (next.indent > parentIndent || (next.indent === parentIndent && this.isSequenceItem(next.text))) {
+                return this.parseBlock(cursor, next.indent);
+            }
+            return null;
+        }
+
+        if (/^[|>][+-]?$/.test(rest)) {
+            return this.parseBlockScalar(cursor, rest, parentIndent);
+        }
+
+        // Flow collections and quoted strings may continue on following lines
+        let value = rest;
+        const isOpen = () => {
+            if (value[0] === '[' || value[0] === '{') return !this.isBalanced(value);
+            if (value[0] === '"') return !/^"(?:[^"\\]|\\.)*"/.test(value);
+            if (value[0] === "'") return !/^'(?:[^']|'')*'/.test(value);
+            return false;
+        };
+
+        while (isOpen() && cursor.index < cursor.lines.length) {
+            value += ' ' + cursor.lines[cursor.index].text;
+            cursor.index++;
+        }
+
+        if (value[0] === '[' || value[0] === '{') {
+            return this.parseFlow(value, { index: 0 });
+        }
+
+        // Plain scalars continue on more-indented lines
+        if (value[0] !== '"' && value[0] !== "'") {
+            while (cursor.index < cursor.lines.length) {
+                const next = cursor.lines[cursor.index];
+                if (next.text === '' || next.indent <= parentIndent || next.text.startsWith('#')) break;
+                value += ' ' + this.stripComment(next.text);
+                cursor.index++;
+            }
+        }
+
+        return this.parseScalar(value);
+    }
+
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     */
+    parseBlockScalar(cursor, indicator, parentIndent) {
+        const lines = [];
+        let blockIndent = null;
+
+        while (cursor.index < cursor.lines.length) {
+            const line = cursor.lines[cursor.index];
+            if (line.text !== '') {
+                if (line.indent <= parentIndent) break;
+                if (blockIndent === null) blockIndent = line.indent;
+                if (line.indent < blockIndent) break;
+            }
+            lines.push(line.text === '' ? '' : line.raw.slice(blockIndent));
+            cursor.index++;
+        }
+
+        let trailing = 0;
+        while (lines.length && lines[lines.length - 1] === '') {
+            lines.pop();
+            trailing++;
+        }
+
+        let text;
+        if (indicator[0] === '|') {
+            text = lines.join('\n');
+        } else {
+            // Folded: single newlines become spaces, blank lines become newlines
+            text = lines.reduce((acc, line, i) => {
+                if (i === 0) return line;
+                if (line === '') return acc + '\n';
+                return acc + (acc.endsWith('\n') ? '' : ' ') + line;
+            }, '');
+        }
+
+        if (indicator[1] === '-') return text;
+        if (indicator[1] === '+') return text + '\n'.repeat(trailing + 1);
+        return text + '\n';
+    }
+
+    /**
+     * Check that brackets in a flow collection are closed
+     */
+    isBalanced(text) {
+        let depth = 0;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '[' || ch === '{') {
+                depth++;
+            } else if (ch === ']' || ch === '}') {
+                depth--;
+            }
+        }
+        return depth <= 0 && !quote;
+    }
+
+    /**
+     * Parse a flow sequence ([a, b]) or flow mapping ({a: 1})
+     */
+    parseFlow(text, pos) {
+        const skipSpace = () => {
+            while (pos.index < text.length && /\s/.test(text[pos.index])) pos.index++;
+        };
+
+        const readScalar = (terminators) => {
+            skipSpace();
+            const start = pos.index;
+            const quote = text[pos.index];
+
+            if (quote === '"' || quote === "'") {
+                pos.index++;
+                while (pos.index < text.length && text[pos.index] !== quote) {
+                    if (quote === '"' && text[pos.index] === '\\') pos.index++;
+                    else if (quote === "'" && text[pos.index + 1] === "'" && text[pos.index] === "'") pos.index++;
+                    pos.index++;
+                }
+                pos.index++;
+                return this.parseScalar(text.slice(start, pos.index));
+            }
+
+            while (pos.index < text.length && !terminators.includes(text[pos.index])) {
+                // ": " separates keys from values; a bare colon (e.g. in URLs) does not
+                if (text[pos.index] === ':' && terminators.includes(':') && /[\s,}\]]/.test(text[pos.index + 1] || ' ')) break;
+                pos.index++;
+            }
+            return this.parseScalar(text.slice(start, pos.index).trim());
+        };
+
+        const readValue = (terminators) => {
+            skipSpace();
+            if (text[pos.index] === '[' || text[pos.index] === '{') {
+                return this.parseFlow(text, pos);
+            }
+            return readScalar(terminators);
+        };
+
+        skipSpace();
+        const open = text[pos.index];
+        const close = open === '[' ? ']' : '}';
+        const result = open === '[' ? [] : {};
+        pos.index++;
+
+        while (pos.index < text.length) {
+            skipSpace();
+            if (text[pos.index] === close) {
+                pos.index++;
+                break;
+            }
+            if (text[pos.index] === ',') {
+                pos.index++;
+                continue;
+            }
+
+            if (open === '[') {
+                result.push(readValue([',', ']']));
+            } else {
+                const key = readScalar([':', ',', '}']);
+                skipSpace();
+                let value = null;
+                if (text[pos.index] === ':') {
+                    pos.index++;
+                    value = readValue([',', '}']);
+                }
+                result[String(key)] = value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Remove a trailing " # comment" that is outside quotes
+     */
+    stripComment(text) {
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\' && quote === '"') i++;
+                else if (ch === quote) quote = null;
+            } else if ((ch === '"' || ch === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+                quote = ch;
+            } else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return text.slice(0, i).trim();
+            }
+        }
+        return text.trim();
+    }
+
+    /**
+     * Convert a scalar token to a string, number, boolean, null or Date
+     */
+    parseScalar(token) {
+        const text = (token || '').trim();
+
+        if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+            try {
+                return JSON.parse(text.replace(/\t/g, '\\t'));
+            } catch (e) {
+                return text.slice(1, -1);
+            }
+        }
+        if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+
+        if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+        if (/^(true|yes|on)$/i.test(text)) return true;
+        if (/^(false|no|off)$/i.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^[-+]?(\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            return new Date(`${text}T00:00:00Z`);
+        }
+        // Times keep the calendar day and clock time as written, read as UTC,
+        // so "2024-06-07 01:00:00 +0800" stays on June 7 like FeedParser dates
+        const dateTime = text.match(/^(\d{4}-\d{2}-\d{2})[Tt ]+(\d{1,2}:\d{2}:\d{2}(?:\.\d+)?)\s*(?:Z|[-+]\d{1,2}(?::?\d{2})?)?$/);
+        if (dateTime) {
+            const date = new Date(`${dateTime[1]}T${dateTime[2].padStart(8, '0')}Z`);
+            if (!isNaN(date.getTime())) return date;
+        }
+
+        return text;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrontMatterParser;
+}
@@ -0,0 +1,214 @@
+/**
+ * GitHub API Client
+ * Shared client for GitHub's REST API that keeps visitors within the
+ * unauthenticated rate limit (60 requests an hour):
+ * - responses are cached with their ETag and revalidated with If-None-Match,
+ *   and 304 Not Modified answers don't count against the quota,
+ * - X-RateLimit-* headers are tracked across page views (separately for the
+ *   core and search quotas), and requests stop while the remaining quota is
+ *   at or below a small reserve,
+ * - when rate limited, the last cached response is returned instead, with
+ *   the time it was fetched,
+ * - concurrent requests for the same path share one response,
+ * - getReleases() is the one releases request every loader uses, so they
+ *   share it and its cache entry,
+ * - getAll() follows Link header pagination for list endpoints.
+ *
+ *   const { data, fetchedAt, rateLimited } = await window.mlcGitHub.get('/repos/mlc-ai/mlc-llm');
+ */
+
+class GitHubRateLimitError extends Error {
+    constructor(resetAt) {
+        super(`GitHub API rate limit reached; it resets at ${new Date(resetAt).toISOString()}`);
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;
+    }
+}
+
+class GitHubClient {
+    constructor(options = {}) {
+        this.apiBase = options.apiBase || 'https://api.github.com';
+        this.scheduler = options.scheduler || new FetchScheduler();
+        this.cache = options.cache || null;
+
+        // Build scripts can pass a token for the higher authenticated limit
+        this.token = options.token || null;
+
+        // Requests left unused so other pages (and other tabs) still get some
+        this.reserve = options.reserve !== undefined ? options.reserve : 5;
+
+        // Releases fetched per repository by getReleases()
+        this.releasesPerPage = options.releasesPerPage || 20;
+
+        // Quota per resource ("core", "search"), as last reported by GitHub
+        this.rateLimits = (this.cache && this.cache.get('github:rate-limits') || {}).value || {};
+
+        // Requests in flight, so loaders asking for the same path share one
+        this.inflight = new Map();
+    }
+
+    /**
+     * Rate limit resource an API path counts against
+     */
+    getResource(path) {
+        return /^(?:https?:\/\/[^\/]+)?\/search\//.test(path) ? 'search' : 'core';
+    }
+
+    /**
+     * Last known quota of a resource ({ limit, remaining, resetAt }) or null
+     */
+    getRateLimit(resource = 'core') {
+        return this.rateLimits[resource] || null;
+    }
+
+    /**
+     * Check whether requests are paused until the rate limit resets
+     */
+    isRateLimited(resource = 'core') {
+        const rateLimit = this.getRateLimit(resource);
+        // Search has a small per-minute quota, so it keeps no reserve
+        const reserve = resource === 'core' ? this.reserve : 0;
+        return Boolean(rateLimit) &&
+            rateLimit.remaining <= reserve &&
+            rateLimit.resetAt > Date.now();
+    }
+
+    /**
+     * Record the quota reported by a response
+     */
+    updateRateLimit(response, resource) {
+        const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'), 10);
+        const reset = parseInt(response.headers.get('X-RateLimit-Reset'), 10);
+        if (isNaN(remaining) || isNaN(reset)) return;
+
+        this.rateLimits[response.headers.get('X-RateLimit-Resource') || resource] = {
+            limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10) || null,
+            remaining,
+            resetAt: reset * 1000
+        };
+        if (this.cache) this.cache.set('github:rate-limits', this.rateLimits);
+    }
+
+    /**
+     * Parse a Link header into { next, last, ... } URLs
+     */
+    parseLinks(header) {
+        const links = {};
+        (header || '').split(',').forEach(part => {
+            const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+            if (match) links[match[2]] = match[1];
+        });
+        return links;
+    }
+
+    /**
+     * GET an API path. Resolves with { status, data, links, fetchedAt,
+     * rateLimited }: data is null for 404s, links are the pagination links,
+     * and rateLimited marks a cached response served because the quota ran
+     * out. Rejects with GitHubRateLimitError when rate limited with nothing
+     * cached. Pass accept for a custom media type.
+     */
+    get(path, { accept = 'application/vnd.github+json' } = {}) {
+        const key = `${accept} ${path}`;
+        if (!this.inflight.has(key)) {
+            const request = this.request(path, accept).finally(() => this.inflight.delete(key));
+            this.inflight.set(key, request);
+        }
+        return this.inflight.get(key);
+    }
+
+    /**
+     * Make the GET request behind get()
+     */
+    async request(path, accept) {
+        const url = /^https?:\/\//.test(path) ? path : `${this.apiBase}${path}`;
+        // Media types change the response body, so they're cached apart
+        const cacheKey = `github:${accept} ${url}`;
+        const cached = this.cache ? this.cache.get(cacheKey) : null;
+        const resource = this.getResource(path);
+
+        const fromCache = () => {
+            const rateLimit = this.getRateLimit(resource);
+            if (!cached) throw new GitHubRateLimitError(rateLimit ? rateLimit.resetAt : Date.now());
+            return { status: 200, data: cached.value.data, links: cached.value.links || {}, fetchedAt: cached.storedAt, rateLimited: true };
+        };
+
+        if (this.isRateLimited(resource)) return fromCache();
+
+        const headers = { 'Accept': accept };
+        if (this.token) headers['Authorization'] = `Bearer ${this.token}`;
+        if (cached && cached.value.etag) headers['If-None-Match'] = cached.value.etag;
+
+        const response = await this.scheduler.fetch(url, { headers });
+        this.updateRateLimit(response, resource);
+
+        if (response.status === 304 && cached) {
+            // Still current: refresh the timestamp without re-downloading
+            const entry = this.cache.set(cacheKey, cached.value);
+            return { status: 200, data: cached.value.data, links: cached.value.links || {}, fetchedAt: entry.storedAt, rateLimited: false };
+        }
+
+        const rateLimit = this.getRateLimit(resource);
+        if ((response.status === 403 || response.status === 429) && rateLimit && rateLimit.remaining === 0) {
+            return fromCache();
+        }
+
+        if (response.status === 404) {
+            return { status: 404, data: null, links: {}, fetchedAt: Date.now(), rateLimited: false };
+        }
+
+        if (!response.ok) {
+            throw new Error(`GitHub API request ${path} failed: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const links = this.parseLinks(response.headers.get('Link'));
+        const etag = response.headers.get('ETag');
+        const entry = this.cache && etag
+            ? this.cache.set(cacheKey, { etag, data, links })
+            : { storedAt: Date.now() };
+        return { status: response.status, data, links, fetchedAt: entry.storedAt, rateLimited: false };
+    }
+
+    /**
+     * A repository's latest releases, newest first (resolves like get())
+     */
+    getReleases(repo) {
+        return this.get(`/repos/${repo}/releases?per_page=${this.releasesPerPage}`);
+    }
+
+    /**
+     * GET every page of a list endpoint by following rel="next" links (up
+     * to maxPages). Resolves with { status, data, fetchedAt, rateLimited },
+     * where fetchedAt is the oldest page's and rateLimited is set if any
+     * page came from the cache.
+     */
+    async getAll(path, { maxPages = 10, ...options } = {}) {
+        const first = await this.get(path, options);
+        if (!first.data) return first;
+
+        const data = [...first.data];
+        let { fetchedAt, rateLimited, links } = first;
+        for (let page = 1; links.next && page < maxPages; page++) {
+            const result = await this.get(links.next, options);
+            if (!result.data) break;
+
+            data.push(...result.data);
+            fetchedAt = Math.min(fetchedAt, result.fetchedAt);
+            rateLimited = rateLimited || result.rateLimited;
+            links = result.links;
+        }
+
+        if (links.next) console.warn(`Stopped paging ${path} after ${maxPages} pages`);
+        return { status: first.status, data, fetchedAt, rateLimited };
+    }
+}
+
+GitHubClient.RateLimitError = GitHubRateLimitError;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GitHubClient;
+} else {
+    // Shared instance so every loader on the page draws from the same quota
+    window.mlcGitHub = new GitHubClient({ scheduler: window.mlcFetch, cache: window.mlcCache });
+}
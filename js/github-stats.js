@@ -1,123 +1,620 @@
 /**
  * GitHub Stats Loader
- * Fetches GitHub repository links from projects.html and aggregates stats
+ * Aggregates the stats of the repositories listed in data/projects.json.
+ * On projects.html it also fills each project with its repo's live stats.
+ * Star history comes from data/star-history.json (built by
+ * scripts/build-star-history.js); repos missing from it get no sparkline.
+ * When the manifest's discovery block sets countInTotals, the totals also
+ * include every public repo of the listed GitHub orgs.
  */
 
 class GitHubStatsLoader {
-    constructor() {
+    constructor(options = {}) {
         this.repos = [];
         this.totalStars = 0;
         this.totalForks = 0;
+
+        // Per-repo stats, and the repos whose requests failed (for Retry)
+        this.repoStats = new Map();
+        this.failedRepos = [];
+
+        // Requests go through the shared queue (concurrency limit, timeouts,
+        // retries); API calls also go through the rate-limit-aware client
+        this.scheduler = options.scheduler || (typeof window !== 'undefined' ? window.mlcFetch : null);
+        this.github = options.github || (typeof window !== 'undefined' ? window.mlcGitHub : null);
+
+        // Projects (and whether each counts toward the totals) come from the manifest
+        this.manifest = options.manifest || (typeof window !== 'undefined' ? window.mlcProjects : null);
+
+        // Stats change slowly and the API is rate limited, so cache for longer
+        this.cache = options.cache || (typeof window !== 'undefined' ? window.mlcCache : null);
+        this.cacheTtl = options.cacheTtl || 6 * 60 * 60 * 1000;
+
+        // Repos without a push for this long are flagged as stale
+        this.staleAfterDays = options.staleAfterDays || 365;
+
+        // Star history: the build-time snapshot
+        this.starHistoryUrl = options.starHistoryUrl || 'data/star-history.json';
+        this.historyTtl = options.historyTtl || 24 * 60 * 60 * 1000;
+
+        // Org repos found by discoverRepos(), by "owner/repo", and the orgs
+        // whose listing failed
+        this.discovered = new Map();
+        this.failedOrgs = [];
     }
 
     /**
-     * Extract GitHub repository URLs from projects.html
+     * Read the repositories that count toward the totals from the manifest,
+     * plus the discovered org repos when discovery counts toward them
      */
-    async extractGitHubRepos() {
+    async loadRepos() {
         try {
-            const response = await fetch('projects.html');
-            if (!response.ok) throw new Error('Failed to fetch projects.html');
-            
-            const html = await response.text();
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(html, 'text/html');
-            
-            const repos = new Set();
-            
-            // Find all links that point to GitHub
-            const links = doc.querySelectorAll('a[href*="github.com"]');
-            
-            links.forEach(link => {
-                const href = link.getAttribute('href');
-                if (!href) return;
-                
-                // Extract repo path from GitHub URL
-                // Format: https://github.com/owner/repo or https://github.com/owner/repo/
-                const match = href.match(/github\.com\/([^\/]+\/[^\/]+)/);
-                if (match) {
-                    const repoPath = match[1].replace(/\/$/, ''); // Remove trailing slash
-                    // Skip if it's just github.com or github.com/owner
-                    if (repoPath && !repoPath.endsWith('.com') && repoPath.split('/').length === 2) {
-                        repos.add(repoPath);
-                    }
-                }
-            });
-            
-            this.repos = Array.from(repos);
-            return this.repos;
+            await this.manifest.load();
+            this.repos = this.manifest.getRepos({ totalsOnly: true });
         } catch (error) {
-            console.error('Error extracting GitHub repos:', error);
+            console.error('Error loading the project manifest:', error);
             return [];
         }
+
+        const discovery = this.manifest.discovery;
+        if (discovery && discovery.countInTotals) {
+            try {
+                const repos = await this.discoverRepos();
+                this.repos = Array.from(new Set(this.repos.concat(repos.map(repo => repo.name))));
+            } catch (error) {
+                // The manifest's projects still count
+                console.error('Error discovering org repositories:', error);
+            }
+        }
+        return this.repos;
     }
 
     /**
-     * Fetch stats for a single GitHub repository
+     * Check a repo name ("owner/repo") against a pattern where * matches
+     * any characters within a segment ("mlc-ai/web-*"); patterns without a
+     * slash match the repo name only ("*.github.io")
      */
-    async fetchRepoStats(repoPath) {
-        try {
-            // GitHub API endpoint for repo info
-            const response = await fetch(`https://api.github.com/repos/${repoPath}`, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
-            
-            if (!response.ok) {
-                if (response.status === 404) {
-                    console.warn(`Repository not found: ${repoPath}`);
-                    return null;
-                }
-                throw new Error(`Failed to fetch stats for ${repoPath}: ${response.status}`);
+    matchesPattern(fullName, pattern) {
+        const name = pattern.includes('/') ? fullName : fullName.split('/').pop();
+        const source = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]*');
+        return new RegExp(`^${source}$`, 'i').test(name);
+    }
+
+    /**
+     * Apply the discovery rules: forks and archived repos are left out unless
+     * includeForks / includeArchived are set, then the include patterns (if
+     * any) must match and no exclude pattern may
+     */
+    matchesRules(repo, rules = {}) {
+        if (repo.private) return false;
+        if (repo.fork && !rules.includeForks) return false;
+        if (repo.archived && !rules.includeArchived) return false;
+
+        const include = rules.include || [];
+        if (include.length > 0 && !include.some(pattern => this.matchesPattern(repo.full_name, pattern))) {
+            return false;
+        }
+        return !(rules.exclude || []).some(pattern => this.matchesPattern(repo.full_name, pattern));
+    }
+
+    /**
+     * List the public repos of the manifest's discovery orgs that pass its
+     * rules, following pagination. Orgs that fail are listed in failedOrgs;
+     * throws only when every org failed.
+     */
+    async discoverRepos() {
+        await this.manifest.load();
+        const rules = this.manifest.discovery || {};
+        const orgs = rules.orgs || [];
+
+        const { results, failed } = await FetchScheduler.settle(orgs, org =>
+            this.github.getAll(`/orgs/${org}/repos?type=public&per_page=100`));
+        failed.forEach(({ item, error }) => console.error(`Error listing repositories of ${item}:`, error));
+        if (results.length === 0 && failed.length > 0) throw failed[0].error;
+
+        this.failedOrgs = failed.map(({ item }) => item);
+        this.discovered = new Map();
+        results.forEach(({ item, value }) => {
+            if (!value.data) {
+                console.warn(`Organization not found: ${item}`);
+                return;
             }
-            
-            const data = await response.json();
-            return {
-                name: data.full_name,
-                stars: data.stargazers_count || 0,
-                forks: data.forks_count || 0
-            };
+
+            value.data
+                .filter(repo => this.matchesRules(repo, rules))
+                .forEach(repo => this.discovered.set(repo.full_name, {
+                    name: repo.full_name,
+                    description: repo.description || '',
+                    url: repo.html_url,
+                    homepage: repo.homepage || null,
+                    stars: repo.stargazers_count || 0,
+                    forks: repo.forks_count || 0,
+                    language: repo.language || null,
+                    topics: repo.topics || [],
+                    archived: Boolean(repo.archived),
+                    fork: Boolean(repo.fork),
+                    pushedAt: repo.pushed_at || null,
+                    fetchedAt: value.fetchedAt,
+                    rateLimited: value.rateLimited
+                }));
+        });
+
+        return Array.from(this.discovered.values());
+    }
+
+    /**
+     * Fetch stats for a single GitHub repository (null if it doesn't exist);
+     * throws when the request fails so it can be retried. With details, also
+     * returns the fields shown on project cards.
+     */
+    async fetchRepoStats(repoPath, { details = false } = {}) {
+        // The org listing already has the counts
+        const listed = this.discovered.get(repoPath);
+        if (listed && !details) {
+            const { name, stars, forks, fetchedAt, rateLimited } = listed;
+            return { name, stars, forks, fetchedAt, rateLimited };
+        }
+
+        // GitHub API endpoint for repo info
+        const { status, data, fetchedAt, rateLimited } = await this.github.get(`/repos/${repoPath}`);
+
+        if (status === 404) {
+            console.warn(`Repository not found: ${repoPath}`);
+            return null;
+        }
+
+        // Rate-limited results are the last known values, from fetchedAt
+        const stats = {
+            name: data.full_name,
+            stars: data.stargazers_count || 0,
+            forks: data.forks_count || 0,
+            fetchedAt,
+            rateLimited
+        };
+        if (!details) return stats;
+
+        const license = data.license && data.license.spdx_id !== 'NOASSERTION'
+            ? data.license.spdx_id
+            : data.license && data.license.name;
+
+        return {
+            ...stats,
+            url: data.html_url,
+            // GitHub counts open pull requests as issues too
+            openIssues: data.open_issues_count || 0,
+            language: data.language || null,
+            license: license || null,
+            archived: Boolean(data.archived),
+            // Last push to any branch, which stands in for the last commit
+            pushedAt: data.pushed_at || null,
+            latestRelease: await this.fetchLatestRelease(repoPath)
+        };
+    }
+
+    /**
+     * Latest published release of a repository ({ tag, url, publishedAt }),
+     * or null when it has none or the request fails
+     */
+    async fetchLatestRelease(repoPath) {
+        try {
+            const { data: release } = await this.github.get(`/repos/${repoPath}/releases/latest`);
+            if (!release) return null;
+
+            return { tag: release.tag_name, url: release.html_url, publishedAt: release.published_at };
         } catch (error) {
-            console.error(`Error fetching stats for ${repoPath}:`, error);
+            console.warn(`Error fetching the latest release of ${repoPath}:`, error);
             return null;
         }
     }
 
+    /**
+     * Fetch stats for the given repositories and record which ones failed.
+     * Repos that hit the rate limit keep their last known stats, so the
+     * totals aren't undercounted.
+     */
+    async fetchRepos(repos, options = {}) {
+        const { results, failed } = await FetchScheduler.settle(repos, repo => this.fetchRepoStats(repo, options));
+
+        results.forEach(({ item, value }) => {
+            if (value) {
+                this.repoStats.set(item, value);
+            } else {
+                this.repoStats.delete(item);
+            }
+        });
+
+        this.failedRepos = [];
+        failed.forEach(({ item, error }) => {
+            const lastKnown = this.repoStats.get(item);
+            if (error instanceof GitHubClient.RateLimitError && lastKnown) {
+                this.repoStats.set(item, { ...lastKnown, rateLimited: true });
+                return;
+            }
+
+            console.error(`Error fetching stats for ${item}:`, error);
+            this.repoStats.delete(item);
+            this.failedRepos.push(item);
+        });
+
+        return this.getTotals();
+    }
+
+    /**
+     * Sum the stats fetched so far, with the per-repo stats and the repos
+     * still missing (so a cached result can be retried later)
+     */
+    getTotals() {
+        let totalStars = 0;
+        let totalForks = 0;
+
+        this.repoStats.forEach(stat => {
+            totalStars += stat.stars;
+            totalForks += stat.forks;
+        });
+
+        this.totalStars = totalStars;
+        this.totalForks = totalForks;
+
+        // When rate limited, totals are as old as the oldest cached value
+        const cachedTimes = Array.from(this.repoStats.values())
+            .filter(stat => stat.rateLimited && stat.fetchedAt)
+            .map(stat => stat.fetchedAt);
+
+        return {
+            stars: totalStars,
+            forks: totalForks,
+            fetched: this.repoStats.size,
+            asOf: cachedTimes.length ? Math.min(...cachedTimes) : null,
+            repos: Object.fromEntries(this.repoStats),
+            failed: this.failedRepos.slice()
+        };
+    }
+
     /**
      * Fetch stats for all repositories
      */
     async fetchAllStats() {
         if (this.repos.length === 0) {
-            await this.extractGitHubRepos();
+            await this.loadRepos();
         }
         
         if (this.repos.length === 0) {
             console.warn('No GitHub repositories found');
-            return { stars: 0, forks: 0 };
+            return { stars: 0, forks: 0, fetched: 0, asOf: null, repos: {}, failed: [] };
         }
-        
-        // Fetch stats for all repos in parallel (with rate limiting consideration)
-        const statsPromises = this.repos.map(repo => this.fetchRepoStats(repo));
-        const results = await Promise.all(statsPromises);
-        
-        // Sum up all stats
-        let totalStars = 0;
-        let totalForks = 0;
-        
-        results.forEach(stat => {
-            if (stat) {
-                totalStars += stat.stars;
-                totalForks += stat.forks;
+
+        // Drop repos no longer listed; the rest are refetched
+        this.repoStats = new Map(Array.from(this.repoStats).filter(([repo]) => this.repos.includes(repo)));
+        return this.fetchRepos(this.repos);
+    }
+
+    /**
+     * Fetch again only the repositories that failed, keeping the others
+     */
+    async retryFailed() {
+        return this.fetchRepos(this.failedRepos);
+    }
+
+    /**
+     * Check whether a repo has gone without a push for staleAfterDays
+     */
+    isStale(repo) {
+        if (!repo.pushedAt) return false;
+        return Date.now() - new Date(repo.pushedAt).getTime() > this.staleAfterDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Format a timestamp as "Oct 12, 3:04 PM"
+     */
+    formatTime(time) {
+        return new Date(time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+
+    /**
+     * Format an ISO date as "Mar 2025"
+     */
+    formatMonth(isoDate) {
+        return new Date(isoDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    }
+
+    /**
+     * Read the build-time star history snapshot ({ "owner/repo": points });
+     * empty when it hasn't been generated
+     */
+    async loadStarSnapshot() {
+        try {
+            const response = await this.scheduler.fetch(this.starHistoryUrl);
+            if (!response.ok) return {};
+            const snapshot = await response.json();
+            return snapshot.repos || {};
+        } catch (error) {
+            console.warn('Star history snapshot unavailable:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Star history of every repo with stats that the snapshot covers,
+     * extended with the current count. No API requests are made.
+     */
+    async fetchStarHistories() {
+        const snapshot = await this.loadStarSnapshot();
+
+        const histories = {};
+        this.repoStats.forEach((stats, repo) => {
+            const points = snapshot[repo];
+            if (!points || points.length === 0) return;
+
+            const last = points[points.length - 1];
+            const now = new Date(stats.fetchedAt || Date.now()).toISOString();
+            const extended = now > last.date ? points.concat([{ date: now, stars: stats.stars }]) : points;
+            if (extended.length >= 2) histories[repo] = extended;
+        });
+        if (Object.keys(histories).length === 0) throw new Error(`No star history in ${this.starHistoryUrl}`);
+        return histories;
+    }
+
+    /**
+     * Stars of a history at a time, interpolated between samples (0 before
+     * the first star)
+     */
+    interpolateStars(points, time) {
+        const times = points.map(point => new Date(point.date).getTime());
+        if (time < times[0]) return 0;
+        if (time >= times[times.length - 1]) return points[points.length - 1].stars;
+
+        const i = times.findIndex(t => t > time);
+        const ratio = (time - times[i - 1]) / (times[i] - times[i - 1]);
+        return Math.round(points[i - 1].stars + ratio * (points[i].stars - points[i - 1].stars));
+    }
+
+    /**
+     * Combined star history of all repos, at evenly spaced times
+     */
+    getAggregateHistory(histories, samples = 24) {
+        const series = Object.values(histories).filter(points => points.length > 0);
+        if (series.length === 0) return [];
+
+        const start = Math.min(...series.map(points => new Date(points[0].date).getTime()));
+        const end = Math.max(...series.map(points => new Date(points[points.length - 1].date).getTime()));
+
+        return Array.from({ length: samples }, (_, i) => {
+            const time = start + i * (end - start) / (samples - 1);
+            return {
+                date: new Date(time).toISOString(),
+                stars: series.reduce((sum, points) => sum + this.interpolateStars(points, time), 0)
+            };
+        });
+    }
+
+    /**
+     * Render a star history as an SVG line chart. Each point has a hover
+     * strip whose tooltip shows the exact count.
+     */
+    renderStarChart(points, { width = 120, height = 32, className = 'star-sparkline', label = 'Star history' } = {}) {
+        if (points.length < 2) return '';
+
+        const times = points.map(point => new Date(point.date).getTime());
+        const startTime = times[0];
+        const span = (times[times.length - 1] - startTime) || 1;
+        const maxStars = Math.max(...points.map(point => point.stars)) || 1;
+
+        const xs = times.map(time => (time - startTime) / span * width);
+        const ys = points.map(point => height - 1 - point.stars / maxStars * (height - 2));
+        const line = xs.map((x, i) => `${x.toFixed(1)},${ys[i].toFixed(1)}`).join(' ');
+
+        // Each strip reaches halfway to the neighbouring points
+        const strips = points.map((point, i) => {
+            const left = i === 0 ? 0 : (xs[i - 1] + xs[i]) / 2;
+            const right = i === points.length - 1 ? width : (xs[i] + xs[i + 1]) / 2;
+            const date = new Date(point.date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+            return HtmlTemplate.html`
+                <rect class="chart-hover" x="${left.toFixed(1)}" y="0" width="${Math.max(right - left, 0.5).toFixed(1)}" height="${height}">
+                    <title>${date}: ${point.stars.toLocaleString('en-US')} ${point.stars === 1 ? 'star' : 'stars'}</title>
+                </rect>`;
+        });
+
+        const latest = points[points.length - 1].stars.toLocaleString('en-US');
+        return HtmlTemplate.html`
+            <svg class="${className}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${label}: ${latest} stars">
+                <polygon class="chart-area" points="0,${height} ${line} ${width},${height}"></polygon>
+                <polyline class="chart-line" points="${line}" vector-effect="non-scaling-stroke"></polyline>
+                ${strips}
+            </svg>
+        `;
+    }
+
+    /**
+     * Add a star sparkline to each project showcase on projects.html
+     */
+    renderProjectHistory(histories) {
+        const byRepo = new Map(Object.entries(histories).map(([repoPath, points]) => [repoPath.toLowerCase(), points]));
+
+        document.querySelectorAll('.project-showcase[data-repo]').forEach(project => {
+            const points = byRepo.get(project.dataset.repo.toLowerCase());
+            if (!points) return;
+
+            let container = project.querySelector('.star-history');
+            if (!container) {
+                container = document.createElement('div');
+                container.className = 'star-history';
+                const actions = project.querySelector('.project-actions');
+                if (actions) {
+                    actions.before(container);
+                } else {
+                    (project.querySelector('.project-info') || project).appendChild(container);
+                }
             }
+
+            const since = this.formatMonth(points[0].date);
+            HtmlTemplate.render(container, HtmlTemplate.html`
+                <span class="star-history-label">Stars since ${since}</span>
+                ${this.renderStarChart(points, { label: `Star history of ${project.dataset.repo}` })}
+            `);
+        });
+    }
+
+    /**
+     * Add the combined star growth chart below the homepage totals
+     */
+    renderStatsChart(histories) {
+        const statsGrid = document.querySelector('.stats .stats-grid');
+        const points = this.getAggregateHistory(histories);
+        if (!statsGrid || points.length < 2) return;
+
+        let container = statsGrid.parentElement.querySelector('.stats-chart');
+        if (!container) {
+            container = document.createElement('figure');
+            container.className = 'stats-chart';
+            statsGrid.after(container);
+        }
+
+        const repoCount = Object.keys(histories).length;
+        HtmlTemplate.render(container, HtmlTemplate.html`
+            ${this.renderStarChart(points, { width: 600, height: 120, className: 'star-chart', label: 'Combined star history' })}
+            <figcaption>
+                Star growth across ${repoCount} ${repoCount === 1 ? 'project' : 'projects'},
+                ${this.formatMonth(points[0].date)} to ${this.formatMonth(points[points.length - 1].date)}
+            </figcaption>
+        `);
+    }
+
+    /**
+     * Load the star histories (cached for a day) and render them
+     */
+    async initStarHistory(render) {
+        if (this.repoStats.size === 0) return;
+
+        try {
+            await this.cache.staleWhileRevalidate('github-star-history', () => this.fetchStarHistories(), {
+                ttl: this.historyTtl,
+                onData: histories => render(histories)
+            });
+        } catch (error) {
+            // The charts are extras; the stats stay as they are. Until the
+            // Build data workflow has run there is no snapshot, which is normal.
+            console.warn('Star history unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Render a repo's live stats, with archived/stale flags
+     */
+    renderRepoStats(repo) {
+        return HtmlTemplate.html`
+            ${repo.archived ? HtmlTemplate.html`
+            <span class="repo-flag archived" title="This repository is archived and read-only">
+                <i class="fas fa-archive"></i>
+                Archived
+            </span>` : this.isStale(repo) ? HtmlTemplate.html`
+            <span class="repo-flag stale" title="No commits in over ${this.staleAfterDays} days">
+                <i class="fas fa-hourglass-end"></i>
+                Stale
+            </span>` : ''}
+            <span class="stat" title="${repo.stars.toLocaleString('en-US')} stars">
+                <i class="fas fa-star"></i>
+                ${this.formatNumber(repo.stars)}
+            </span>
+            <span class="stat" title="${repo.forks.toLocaleString('en-US')} forks">
+                <i class="fas fa-code-branch"></i>
+                ${this.formatNumber(repo.forks)}
+            </span>
+            <span class="stat" title="Open issues and pull requests">
+                <i class="fas fa-exclamation-circle"></i>
+                ${this.formatNumber(repo.openIssues || 0)} open
+            </span>
+            ${repo.language ? HtmlTemplate.html`
+            <span class="stat">
+                <i class="fas fa-code"></i>
+                ${repo.language}
+            </span>` : ''}
+            ${repo.license ? HtmlTemplate.html`
+            <span class="stat">
+                <i class="fas fa-balance-scale"></i>
+                ${repo.license}
+            </span>` : ''}
+            ${repo.latestRelease ? HtmlTemplate.html`
+            <a class="stat" href="${repo.latestRelease.url}" target="_blank" rel="noopener" title="Latest release">
+                <i class="fas fa-tag"></i>
+                ${repo.latestRelease.tag}
+            </a>` : ''}
+            ${repo.pushedAt ? HtmlTemplate.html`
+            <span class="stat" title="Last commit">
+                <i class="fas fa-history"></i>
+                Updated ${this.formatMonth(repo.pushedAt)}
+            </span>` : ''}
+            ${repo.rateLimited ? HtmlTemplate.html`
+            <span class="stat stat-as-of" title="GitHub's rate limit was reached, so these are the last known values">
+                <i class="fas fa-clock"></i>
+                As of ${this.formatTime(repo.fetchedAt)}
+            </span>` : ''}
+        `;
+    }
+
+    /**
+     * Fill each project showcase and card on projects.html with the stats of
+     * its repo, counted in the totals or not. Projects whose repo couldn't be
+     * fetched are left as they are.
+     */
+    renderProjectStats(stats) {
+        // Cached results carry their per-repo stats
+        this.repoStats = new Map(Object.entries(stats.repos || {}));
+        const repos = new Map(Object.entries(stats.repos || {})
+            .map(([repoPath, repo]) => [repoPath.toLowerCase(), repo]));
+
+        document.querySelectorAll('.project-showcase[data-repo], .project-card[data-repo]').forEach(project => {
+            const repo = repos.get(project.dataset.repo.toLowerCase());
+            if (!repo) return;
+
+            // Projects have no stats block yet; add one above their buttons or link
+            let container = project.querySelector('.project-stats');
+            if (!container) {
+                container = document.createElement('div');
+                container.className = 'project-stats';
+                const actions = project.querySelector('.project-actions, .project-link');
+                if (actions) {
+                    actions.before(container);
+                } else {
+                    (project.querySelector('.project-info') || project).appendChild(container);
+                }
+            }
+
+            container.classList.add('repo-stats');
+            HtmlTemplate.render(container, this.renderRepoStats(repo));
+            project.classList.toggle('is-archived', repo.archived);
+            project.classList.toggle('is-stale', !repo.archived && this.isStale(repo));
         });
-        
-        this.totalStars = totalStars;
-        this.totalForks = totalForks;
-        
-        return {
-            stars: totalStars,
-            forks: totalForks
-        };
+    }
+
+    /**
+     * Initialize per-project stats on projects.html
+     */
+    async initProjects() {
+        // Every listed project gets stats, counted in the totals or not
+        this.repos = this.manifest.getRepos();
+        if (this.repos.length === 0) return;
+
+        try {
+            const fetcher = async () => {
+                const stats = await this.fetchRepos(this.repos, { details: true });
+                if (!stats.fetched) throw new Error('No repository stats could be fetched');
+                return stats;
+            };
+
+            await this.cache.staleWhileRevalidate('github-repo-details', fetcher, {
+                ttl: this.cacheTtl,
+                onData: stats => this.renderProjectStats(stats)
+            });
+        } catch (error) {
+            // The static stats stay in place
+            console.error('Error loading project stats:', error);
+            return;
+        }
+
+        await this.initStarHistory(histories => this.renderProjectHistory(histories));
     }
 
     /**
@@ -135,11 +632,19 @@ class GitHubStatsLoader {
     /**
      * Render stats on the page
      */
-    renderStats(stats) {
+    renderStats(stats, { fromCache = false, storedAt = null } = {}) {
         const statsGrid = document.querySelector('.stats .stats-grid');
         if (!statsGrid) return;
-        
-        statsGrid.innerHTML = `
+
+        // Cached results carry their per-repo stats and failures
+        this.repoStats = new Map(Object.entries(stats.repos || {}));
+        this.failedRepos = stats.failed || [];
+
+        // Last-known values are labelled with their age while rate limited
+        const rateLimited = this.github.isRateLimited();
+        const asOf = stats.asOf || (fromCache && rateLimited ? storedAt : null);
+
+        HtmlTemplate.render(statsGrid, HtmlTemplate.html`
             <div class="stat-item">
                 <div class="stat-number">${this.formatNumber(stats.stars)}</div>
                 <div class="stat-label">GitHub Stars</div>
@@ -148,7 +653,37 @@ class GitHubStatsLoader {
                 <div class="stat-number">${this.formatNumber(stats.forks)}</div>
                 <div class="stat-label">GitHub Forks</div>
             </div>
-        `;
+            ${asOf ? HtmlTemplate.html`
+            <div class="stats-status">
+                <span>
+                    <i class="fas fa-history"></i>
+                    As of ${this.formatTime(asOf)}: GitHub's rate limit was reached, so these are the last known values.
+                </span>
+            </div>` : ''}
+            ${this.failedRepos.length ? HtmlTemplate.html`
+            <div class="stats-status">
+                <span>
+                    Partial totals: ${this.failedRepos.length}
+                    ${this.failedRepos.length === 1 ? 'repository' : 'repositories'} couldn't be loaded${rateLimited
+                        ? ` until the GitHub rate limit resets at ${this.formatTime(this.github.getRateLimit().resetAt)}`
+                        : ''}.
+                </span>
+                <button type="button" class="btn btn-outline retry-btn">
+                    <i class="fas fa-redo"></i>
+                    Retry
+                </button>
+            </div>` : ''}
+        `);
+
+        const retryButton = statsGrid.querySelector('.retry-btn');
+        if (retryButton) {
+            retryButton.addEventListener('click', async () => {
+                retryButton.disabled = true;
+                const totals = await this.retryFailed();
+                this.cache.set('github-stats', totals);
+                this.renderStats(totals);
+            });
+        }
     }
 
     /**
@@ -158,7 +693,7 @@ class GitHubStatsLoader {
         const statsGrid = document.querySelector('.stats .stats-grid');
         if (!statsGrid) return;
         
-        statsGrid.innerHTML = `
+        HtmlTemplate.render(statsGrid, HtmlTemplate.html`
             <div class="stat-item">
                 <div class="stat-number">
                     <i class="fas fa-spinner fa-spin"></i>
@@ -171,17 +706,17 @@ class GitHubStatsLoader {
                 </div>
                 <div class="stat-label">Loading...</div>
             </div>
-        `;
+        `);
     }
 
     /**
-     * Show error state
+     * Show error state with a Retry button
      */
     showError() {
         const statsGrid = document.querySelector('.stats .stats-grid');
         if (!statsGrid) return;
         
-        statsGrid.innerHTML = `
+        HtmlTemplate.render(statsGrid, HtmlTemplate.html`
             <div class="stat-item">
                 <div class="stat-number">-</div>
                 <div class="stat-label">GitHub Stars</div>
@@ -190,7 +725,16 @@ class GitHubStatsLoader {
                 <div class="stat-number">-</div>
                 <div class="stat-label">GitHub Forks</div>
             </div>
-        `;
+            <div class="stats-status">
+                <span>GitHub stats are unavailable right now.</span>
+                <button type="button" class="btn btn-outline retry-btn">
+                    <i class="fas fa-redo"></i>
+                    Retry
+                </button>
+            </div>
+        `);
+
+        statsGrid.querySelector('.retry-btn').addEventListener('click', () => this.init());
     }
 
     /**
@@ -200,21 +744,42 @@ class GitHubStatsLoader {
         this.showLoading();
         
         try {
-            const stats = await this.fetchAllStats();
-            this.renderStats(stats);
+            // Don't cache a run where every request failed (e.g. rate limited)
+            const fetcher = async () => {
+                const stats = await this.fetchAllStats();
+                if (!stats.fetched) throw new Error('No repository stats could be fetched');
+                return stats;
+            };
+
+            await this.cache.staleWhileRevalidate('github-stats', fetcher, {
+                ttl: this.cacheTtl,
+                onData: (stats, meta) => this.renderStats(stats, meta)
+            });
         } catch (error) {
             console.error('Error initializing GitHub stats:', error);
             this.showError();
+            return;
         }
+
+        await this.initStarHistory(histories => this.renderStatsChart(histories));
     }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Only initialize on homepage
-    if (document.querySelector('.stats .stats-grid')) {
-        const statsLoader = new GitHubStatsLoader();
-        statsLoader.init();
-    }
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GitHubStatsLoader;
+} else {
+    // Initialize when DOM is ready
+    document.addEventListener('DOMContentLoaded', () => {
+        // Totals on the homepage
+        if (document.querySelector('.stats .stats-grid')) {
+            const statsLoader = new GitHubStatsLoader();
+            statsLoader.init();
+        }
 
+        // Per-repo stats on projects.html, once the showcases are rendered
+        if (document.querySelector('.project-list')) {
+            const projectStatsLoader = new GitHubStatsLoader();
+            window.mlcProjects.renderHooks.push(() => projectStatsLoader.initProjects());
+        }
+    });
+}
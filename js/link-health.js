@@ -0,0 +1,267 @@
+/**
+ * Link Health Checker
+ * Checks the GitHub, Hugging Face and documentation links on project cards
+ * and marks cards with a dead link as unavailable. GitHub repos and users
+ * and Hugging Face models, datasets, spaces and orgs are looked up through
+ * their APIs; other links get a HEAD request. In the browser, other sites
+ * can only be probed without CORS: one that answers counts as healthy, and
+ * one that doesn't is reported but not marked broken.
+ *
+ * Open a page with ?link-report (or serve it from localhost) to log every
+ * dead link on it; scripts/check-links.js reports the whole site.
+ */
+
+class LinkHealthChecker {
+    constructor(options = {}) {
+        const inBrowser = typeof window !== 'undefined';
+        this.github = options.github || (inBrowser ? window.mlcGitHub : null);
+        this.scheduler = options.scheduler || (inBrowser ? window.mlcFetch : null);
+        this.cache = options.cache !== undefined ? options.cache : (inBrowser ? window.mlcCache : null);
+        this.cacheTtl = options.cacheTtl || 6 * 60 * 60 * 1000;
+
+        // Origin of the page; other sites are probed without CORS in the browser
+        this.origin = options.origin || (inBrowser ? window.location.origin : null);
+        this.noCors = options.noCors !== undefined ? options.noCors : inBrowser;
+
+        this.cardSelector = options.cardSelector || '.project-showcase, .project-card:not(.repo-card)';
+        this.devMode = options.devMode !== undefined ? options.devMode : inBrowser && (
+            new URLSearchParams(window.location.search).has('link-report') ||
+            ['localhost', '127.0.0.1'].includes(window.location.hostname));
+
+        // Results by URL: { url, kind, ok, status, error, checkedAt }
+        this.results = new Map();
+    }
+
+    /**
+     * What a link points to and how to check it: { kind, api } where kind is
+     * "github", "huggingface" or "docs" and api is the lookup URL, if any.
+     * Returns null for links that aren't checked: relative links to the
+     * site's own pages, mailto:, ...
+     */
+    classifyLink(href) {
+        if (!/^https?:\/\//i.test(href || '')) return null;
+
+        let url;
+        try {
+            url = new URL(href);
+        } catch (e) {
+            return null;
+        }
+
+        const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const host = url.hostname.replace(/^www\./, '');
+
+        if (host === 'github.com') {
+            const reserved = ['orgs', 'topics', 'features', 'sponsors', 'about', 'pricing', 'marketplace', 'collections'];
+            if (segments.length === 0 || reserved.includes(segments[0])) return { kind: 'docs', api: null };
+
+            const [owner, repo] = segments;
+            return {
+                kind: 'github',
+                api: repo ? `/repos/${owner}/${repo.replace(/\.git$/, '')}` : `/users/${owner}`
+            };
+        }
+
+        if (host === 'huggingface.co') {
+            const [first, second, third] = segments;
+            if (['datasets', 'spaces'].includes(first) && third) {
+                return { kind: 'huggingface', api: `https://huggingface.co/api/${first}/${second}/${third}` };
+            }
+
+            const reserved = ['models', 'datasets', 'spaces', 'docs', 'blog', 'papers', 'learn', 'tasks', 'pricing', 'collections'];
+            if (!first || reserved.includes(first)) return { kind: 'docs', api: null };
+            return {
+                kind: 'huggingface',
+                api: second
+                    ? `https://huggingface.co/api/models/${first}/${second}`
+                    : `https://huggingface.co/api/organizations/${first}/overview`
+            };
+        }
+
+        return { kind: 'docs', api: null };
+    }
+
+    /**
+     * Look up a GitHub repo or user; 404 means it's gone (or private)
+     */
+    async checkGitHub(api) {
+        const { status } = await this.github.get(api);
+        return status;
+    }
+
+    /**
+     * Look up a Hugging Face model, dataset, space or org; names that aren't
+     * an org are tried as a user
+     */
+    async checkHuggingFace(api) {
+        const response = await this.scheduler.fetch(api);
+        const userApi = api.replace(/\/organizations\/([^/]+)\/overview$/, '/users/$1/overview');
+        if (response.status === 404 && userApi !== api) {
+            return (await this.scheduler.fetch(userApi)).status;
+        }
+        return response.status;
+    }
+
+    /**
+     * Request a page with HEAD (falling back to GET for servers that refuse
+     * it). Without CORS the response is opaque, so the status is null.
+     */
+    async probePage(url) {
+        const options = this.noCors && new URL(url).origin !== this.origin ? { mode: 'no-cors' } : {};
+        const response = await this.scheduler.fetch(url, { ...options, method: 'HEAD' });
+        if (response.type === 'opaque') return null;
+
+        if (response.status === 405 || response.status === 501) {
+            return (await this.scheduler.fetch(url, options)).status;
+        }
+        return response.status;
+    }
+
+    /**
+     * Check one link. ok is false for an error status, null when no answer
+     * came back (offline, blocked or rate limited) and true otherwise.
+     */
+    async checkLink(url) {
+        const target = this.classifyLink(url);
+        if (!target) return null;
+
+        const result = { url, kind: target.kind, ok: true, status: null, error: null, checkedAt: Date.now() };
+        try {
+            if (target.kind === 'github') {
+                result.status = await this.checkGitHub(target.api);
+            } else if (target.kind === 'huggingface') {
+                result.status = await this.checkHuggingFace(target.api);
+            } else {
+                result.status = await this.probePage(url);
+            }
+            result.ok = result.status === null || result.status < 400;
+        } catch (error) {
+            result.ok = null;
+            result.error = error instanceof GitHubClient.RateLimitError ? 'rate limited' : error.message;
+        }
+        return result;
+    }
+
+    /**
+     * Check a list of URLs once each, reusing results younger than cacheTtl
+     */
+    async checkLinks(urls) {
+        const cached = (this.cache && this.cache.get('link-health') || {}).value || {};
+        const unique = Array.from(new Set(urls));
+
+        const pending = unique.filter(url => {
+            const result = cached[url];
+            // Unanswered checks are tried again on the next page view
+            if (result && result.ok !== null && Date.now() - result.checkedAt < this.cacheTtl) {
+                this.results.set(url, result);
+                return false;
+            }
+            return true;
+        });
+
+        const { results } = await FetchScheduler.settle(pending, url => this.checkLink(url));
+        results.forEach(({ item, value }) => {
+            if (value) this.results.set(item, value);
+        });
+
+        if (this.cache && pending.length > 0) {
+            // Only answered checks are stored, so an offline page view can't
+            // replace a cached answer
+            const answered = Array.from(this.results).filter(([, result]) => result.ok !== null);
+            this.cache.set('link-health', { ...cached, ...Object.fromEntries(answered) });
+        }
+        return unique.map(url => this.results.get(url)).filter(Boolean);
+    }
+
+    /**
+     * Checked links inside a card, skipping the live stats added by the
+     * stats loader
+     */
+    getCardLinks(card) {
+        return Array.from(card.querySelectorAll('a[href]'))
+            .filter(link => !link.closest('.repo-stats') && this.classifyLink(link.getAttribute('href')));
+    }
+
+    /**
+     * Flag a card whose links are dead and mark each dead link
+     */
+    markCard(card) {
+        const oldFlag = card.querySelector('.link-health-flag');
+        if (oldFlag) oldFlag.remove();
+
+        const broken = this.getCardLinks(card).filter(link => {
+            const result = this.results.get(link.href);
+            const isBroken = Boolean(result && result.ok === false);
+            link.classList.toggle('is-broken', isBroken);
+            if (isBroken) link.title = `This link is unavailable (HTTP ${result.status})`;
+            return isBroken;
+        });
+
+        card.classList.toggle('is-unavailable', broken.length > 0);
+        if (broken.length === 0) return;
+
+        const repoBroken = broken.some(link => this.results.get(link.href).kind === 'github');
+        const flag = document.createElement('div');
+        flag.className = 'link-health-flag';
+        HtmlTemplate.render(flag, HtmlTemplate.html`
+            <span class="repo-flag unavailable">
+                <i class="fas fa-unlink"></i>
+                ${repoBroken ? 'Repository unavailable' : `${broken.length} ${broken.length === 1 ? 'link' : 'links'} unavailable`}
+            </span>
+        `);
+        const info = card.querySelector('.project-info') || card;
+        info.prepend(flag);
+    }
+
+    /**
+     * Log the dead and unreachable links on this page
+     */
+    report(results) {
+        const dead = results.filter(result => result.ok !== true);
+        if (dead.length === 0) {
+            console.info(`Link report: all ${results.length} links on ${window.location.pathname} are healthy`);
+            return;
+        }
+
+        console.warn(`Link report: ${dead.length} of ${results.length} links on ${window.location.pathname} need attention`);
+        console.table(dead.map(result => ({
+            page: window.location.pathname,
+            url: result.url,
+            kind: result.kind,
+            status: result.status !== null ? result.status : result.error || 'unreachable'
+        })));
+    }
+
+    /**
+     * Check the links of every card on the page and mark the broken ones
+     */
+    async checkCards() {
+        const cards = Array.from(document.querySelectorAll(this.cardSelector));
+        const urls = cards.flatMap(card => this.getCardLinks(card).map(link => link.href));
+        if (urls.length === 0) return;
+
+        try {
+            const results = await this.checkLinks(urls);
+            cards.forEach(card => this.markCard(card));
+            if (this.devMode) this.report(results);
+        } catch (error) {
+            // Cards stay as they are
+            console.error('Error checking links:', error);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkHealthChecker;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        const linkHealth = new LinkHealthChecker();
+
+        // projects.html renders its showcases from the manifest first
+        if (document.querySelector('.project-list')) {
+            window.mlcProjects.renderHooks.push(() => linkHealth.checkCards());
+        } else {
+            linkHealth.checkCards();
+        }
+    });
+}
@@ -0,0 +1,530 @@
+/**
+ * Markdown Renderer
+ * Renders blog post Markdown (GitHub-flavored subset) to HTML: headings,
+ * lists, blockquotes, fenced code, tables, images, links, inline HTML and
+ * TeX math. Math is emitted as text with its delimiters so KaTeX auto-render
+ * can typeset it after insertion.
+ *
+ * Raw HTML in the source is escaped as text unless allowHtml is set; then
+ * only the tags and attributes in the allowlist below are kept, and their
+ * URLs must be http(s) or relative. The result is an HtmlTemplate value that
+ * can be interpolated into templates as-is.
+ */
+
+class MarkdownRenderer {
+    constructor(options = {}) {
+        // Relative links and images in posts resolve against the post URL
+        this.baseUrl = options.baseUrl || '';
+        this.siteUrl = options.siteUrl || '';
+
+        // Keep allowlisted raw HTML (blog posts use it for figures and tables)
+        this.allowHtml = Boolean(options.allowHtml);
+    }
+
+    /**
+     * Escape text for use in HTML
+     */
+    static escapeHtml(text) {
+        return HtmlTemplate.escape(text);
+    }
+
+    /**
+     * Escape text that may already contain character entities
+     */
+    static escapeText(text) {
+        return text
+            .replace(/&(?!#?\w+;)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Render Markdown to { html, headings }; both html and each heading's
+     * text are safe to interpolate into HtmlTemplate.html
+     */
+    render(markdown) {
+        this.headings = [];
+        this.slugs = {};
+        this.references = {};
+
+        const source = this.stripLiquid((markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    '));
+        const lines = this.collectReferences(source.split('\n'));
+
+        // Every tag in the output was built here or passed sanitizeHtml()
+        return {
+            html: HtmlTemplate.raw(this.renderBlocks(lines)),
+            headings: this.headings.map(heading => ({ ...heading, text: HtmlTemplate.raw(heading.text) }))
+        };
+    }
+
+    /**
+     * Replace Jekyll site variables and drop other Liquid tags
+     */
+    stripLiquid(text) {
+        const siteUrl = this.siteUrl.replace(/\/$/, '');
+        return text
+            .replace(/\{\{\s*site\.(?:url|baseurl)\s*\}\}/g, siteUrl)
+            .replace(/\{%\s*raw\s*%\}|\{%\s*endraw\s*%\}/g, '')
+            .replace(/\{%[\s\S]*?%\}/g, '');
+    }
+
+    /**
+     * Pull out reference-style link definitions ([id]: url "title")
+     */
+    collectReferences(lines) {
+        return lines.filter(line => {
+            const match = line.match(/^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+["'(]([^"')]*)["')])?\s*$/);
+            if (!match) return true;
+            this.references[match[1].toLowerCase()] = { url: match[2], title: match[3] || '' };
+            return false;
+        });
+    }
+
+    /**
+     * Resolve a link or image URL against the post URL; anything other than
+     * http(s) or relative URLs (e.g. javascript:) becomes "#"
+     */
+    resolveUrl(url) {
+        if (url && !HtmlTemplate.isSafeUrl(url)) return '#';
+        if (!url || url.startsWith('#') || !this.baseUrl) return url;
+        try {
+            return new URL(url, this.baseUrl).href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * Keep the allowlisted tags and attributes of raw HTML and escape
+     * everything else as text. Scripts, styles and embeds are dropped with
+     * their content; other unknown tags are dropped and their content kept.
+     */
+    sanitizeHtml(html) {
+        const source = html.replace(MarkdownRenderer.DROPPED_ELEMENTS, '');
+        const tag = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'<>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+
+        let out = '';
+        let last = 0;
+        let match;
+        while ((match = tag.exec(source)) !== null) {
+            out += MarkdownRenderer.escapeText(source.slice(last, match.index));
+            last = tag.lastIndex;
+            // Comments are dropped
+            if (match[2]) out += this.sanitizeTag(match[1] === '/', match[2].toLowerCase(), match[3]);
+        }
+        return out + MarkdownRenderer.escapeText(source.slice(last));
+    }
+
+    /**
+     * Rebuild one allowlisted tag with its allowed attributes ('' otherwise)
+     */
+    sanitizeTag(closing, name, attributeSource) {
+        if (!MarkdownRenderer.ALLOWED_TAGS.has(name)) return '';
+        if (closing) return MarkdownRenderer.VOID_TAGS.has(name) ? '' : `</${name}>`;
+
+        const attributes = [];
+        const attribute = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let match;
+        while ((match = attribute.exec(attributeSource)) !== null) {
+            const attrName = match[1].toLowerCase();
+            if (!MarkdownRenderer.ALLOWED_ATTRIBUTES.has(attrName)) continue;
+
+            const rawValue = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+            if (rawValue === undefined) {
+                attributes.push(attrName);
+                continue;
+            }
+
+            let value = FeedParser.decodeEntities(rawValue);
+            if (['href', 'src', 'poster'].includes(attrName)) value = this.resolveUrl(value) || '#';
+            // Only new tabs are allowed as link targets
+            if (attrName === 'target' && value !== '_blank') continue;
+            attributes.push(`${attrName}="${MarkdownRenderer.escapeHtml(value)}"`);
+        }
+        if (name === 'a' && attributes.includes('target="_blank"')) attributes.push('rel="noopener"');
+
+        return `<${[name, ...attributes].join(' ')}>`;
+    }
+
+    /**
+     * Create a unique id for a heading
+     */
+    slugify(text) {
+        const base = text
+            .toLowerCase()
+            .replace(/<[^>]+>/g, '')
+            .replace(/&[a-z0-9#]+;/g, '')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s+/g, '-') || 'section';
+
+        const count = this.slugs[base] || 0;
+        this.slugs[base] = count + 1;
+        return count === 0 ? base : `${base}-${count}`;
+    }
+
+    /**
+     * Render a sequence of block-level lines
+     */
+    renderBlocks(lines) {
+        const html = [];
+        let i = 0;
+
+        const isBlank = line => line.trim() === '';
+        const listMarker = /^( *)([-*+]|\d+[.)])\s+/;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block
+            const fence = line.match(/^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const langClass = fence[2] ? ` class="language-${MarkdownRenderer.escapeHtml(fence[2])}"` : '';
+                html.push(`<pre><code${langClass}>${MarkdownRenderer.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            // Display math: $$ ... $$ or \[ ... \]
+            const mathOpen = line.trim().match(/^(\$\$|\\\[)/);
+            if (mathOpen) {
+                const close = mathOpen[1] === '$$' ? '$$' : '\\]';
+                const math = [line.trim()];
+                const closedOnOpeningLine = line.trim().length > 2 && line.trim().endsWith(close);
+                i++;
+                if (!closedOnOpeningLine) {
+                    while (i < lines.length) {
+                        math.push(lines[i].trim());
+                        i++;
+                        if (math[math.length - 1].endsWith(close)) break;
+                    }
+                }
+                html.push(`<div class="math-display">${MarkdownRenderer.escapeHtml(math.join('\n'))}</div>`);
+                continue;
+            }
+
+            // ATX heading
+            const heading = line.match(/^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                html.push(this.renderHeading(heading[1].length, heading[2]));
+                i++;
+                continue;
+            }
+
+            // Horizontal rule
+            if (/^ {0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                html.push('<hr>');
+                i++;
+                continue;
+            }
+
+            // Blockquote
+            if (/^ {0,3}>/.test(line)) {
+                const quote = [];
+                while (i < lines.length && !isBlank(lines[i])) {
+                    quote.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${this.renderBlocks(quote)}</blockquote>`);
+                continue;
+            }
+
+            // Table: header row followed by a |---|:---:| separator
+            if (line.includes('|') && i + 1 < lines.length && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1])) {
+                const rows = [line];
+                const separator = lines[i + 1];
+                i += 2;
+                while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+                    rows.push(lines[i]);
+                    i++;
+                }
+                html.push(this.renderTable(rows, separator));
+                continue;
+            }
+
+            // List
+            const marker = line.match(listMarker);
+            if (marker && marker[1].length <= 3) {
+                const result = this.renderList(lines, i, listMarker);
+                html.push(result.html);
+                i = result.next;
+                continue;
+            }
+
+            // Raw HTML block: sanitized until the next blank line (without
+            // allowHtml it is escaped as a paragraph)
+            if (this.allowHtml && /^ {0,3}<(\/?[a-zA-Z][\w-]*|!--)/.test(line) && !/^ {0,3}<(a|img|span|em|strong|code|b|i|sup|sub|br)\b/i.test(line)) {
+                const block = [];
+                while (i < lines.length && !isBlank(lines[i])) {
+                    block.push(lines[i]);
+                    i++;
+                }
+                html.push(this.sanitizeHtml(block.join('\n')));
+                continue;
+            }
+
+            // Paragraph (or setext heading)
+            const paragraph = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                const current = lines[i];
+                if (paragraph.length > 0 && (
+                    /^ {0,3}(#{1,6}\s|>|`{3,}|~{3,}|\$\$)/.test(current) ||
+                    (listMarker.test(current) && current.match(listMarker)[1].length <= 3)
+                )) {
+                    break;
+                }
+
+                const setext = current.match(/^ {0,3}(=+|-+)\s*$/);
+                if (setext && paragraph.length > 0) {
+                    html.push(this.renderHeading(setext[1][0] === '=' ? 1 : 2, paragraph.join(' ')));
+                    paragraph.length = 0;
+                    i++;
+                    break;
+                }
+
+                paragraph.push(current);
+                i++;
+            }
+            if (paragraph.length > 0) {
+                html.push(`<p>${this.renderInline(paragraph.join('\n').trim())}</p>`);
+            }
+        }
+
+        return html.join('\n');
+    }
+
+    /**
+     * Render a heading and record it for the table of contents
+     */
+    renderHeading(level, text) {
+        const content = this.renderInline(text);
+        const id = this.slugify(content);
+        this.headings.push({
+            level,
+            id,
+            text: content.replace(/<[^>]+>/g, '')
+        });
+        return `<h${level} id="${id}">${content}</h${level}>`;
+    }
+
+    /**
+     * Render a list starting at lines[start]; returns { html, next }
+     */
+    renderList(lines, start, listMarker) {
+        const first = lines[start].match(listMarker);
+        const baseIndent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const startNumber = ordered ? parseInt(first[2], 10) : 1;
+
+        const items = [];
+        let current = null;
+        let loose = false;
+        let sawBlank = false;
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const marker = line.match(listMarker);
+
+            if (line.trim() === '') {
+                sawBlank = true;
+                if (current) current.lines.push('');
+                i++;
+                continue;
+            }
+
+            if (marker && marker[1].length === baseIndent && /\d/.test(marker[2]) === ordered) {
+                if (sawBlank && current) loose = true;
+                current = { lines: [line.slice(marker[0].length)], indent: marker[0].length };
+                items.push(current);
+                sawBlank = false;
+                i++;
+                continue;
+            }
+
+            const indent = line.match(/^ */)[0].length;
+            if (indent > baseIndent) {
+                // Nested content belongs to the current item
+                if (sawBlank && indent < current.indent) break;
+                if (sawBlank) loose = true;
+                current.lines.push(line.slice(Math.min(indent, current.indent)));
+                sawBlank = false;
+                i++;
+                continue;
+            }
+
+            // Lazy continuation of the item's paragraph
+            if (!sawBlank && !marker && !/^ {0,3}(#{1,6}\s|>|`{3,}|~{3,})/.test(line)) {
+                current.lines.push(line.trim());
+                i++;
+                continue;
+            }
+
+            break;
+        }
+
+        // Trailing blank lines belong after the list
+        while (i > start && lines[i - 1].trim() === '') i--;
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+        const body = items.map(item => {
+            while (item.lines.length && item.lines[item.lines.length - 1] === '') item.lines.pop();
+
+            let content = this.renderBlocks(item.lines);
+            if (!loose) {
+                // Tight lists don't wrap item text in paragraphs
+                content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+            }
+            return `<li>${content}</li>`;
+        }).join('\n');
+
+        return { html: `<${tag}${startAttr}>\n${body}\n</${tag}>`, next: i };
+    }
+
+    /**
+     * Split a table row into cells, honoring escaped pipes
+     */
+    splitRow(row) {
+        return row
+            .trim()
+            .replace(/^\|/, '')
+            .replace(/\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    /**
+     * Render a GitHub-flavored table
+     */
+    renderTable(rows, separator) {
+        const aligns = this.splitRow(separator).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            if (left) return 'left';
+            return '';
+        });
+
+        const renderRow = (row, tag) => {
+            const cells = this.splitRow(row);
+            return '<tr>' + aligns.map((align, index) => {
+                const style = align ? ` style="text-align: ${align};"` : '';
+                return `<${tag}${style}>${this.renderInline(cells[index] || '')}</${tag}>`;
+            }).join('') + '</tr>';
+        };
+
+        const [head, ...body] = rows;
+        return `<div class="table-wrapper"><table>
+<thead>${renderRow(head, 'th')}</thead>
+<tbody>${body.map(row => renderRow(row, 'td')).join('\n')}</tbody>
+</table></div>`;
+    }
+
+    /**
+     * Render inline Markdown: code, math, images, links, emphasis, inline HTML
+     */
+    renderInline(text) {
+        const tokens = [];
+        const protect = html => {
+            tokens.push(html);
+            return `\u0000${tokens.length - 1}\u0000`;
+        };
+
+        // Link and image destinations may contain balanced parentheses
+        const destination = '\\(\\s*(?:<([^<>\\n]*)>|((?:[^\\s()<>]|\\([^\\s()<>]*\\))+))(?:\\s+["\']([^"\']*)["\'])?\\s*\\)';
+        const image = new RegExp(`!\\[([^\\]]*)\\]${destination}`, 'g');
+        const link = new RegExp(`\\[((?:[^\\[\\]]|\\[[^\\]]*\\])+)\\]${destination}`, 'g');
+
+        let out = text
+            // Code spans
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) => protect(`<code>${MarkdownRenderer.escapeHtml(code.trim())}</code>`))
+            // Inline math: \( ... \) and $...$ (not prices like "$5 and $10")
+            .replace(/\\\(([\s\S]+?)\\\)/g, m => protect(`<span class="math-inline">${MarkdownRenderer.escapeHtml(m)}</span>`))
+            .replace(/(^|[^\\$])\$(?!\s)([^$\n]+?)(?<!\s)\$(?![\d$])/g, (m, before, math) =>
+                before + protect(`<span class="math-inline">${MarkdownRenderer.escapeHtml('$' + math + '$')}</span>`))
+            // Autolinks
+            .replace(/<(https?:\/\/[^\s>]+)>/g, (m, url) => protect(`<a href="${MarkdownRenderer.escapeHtml(url)}">${MarkdownRenderer.escapeHtml(url)}</a>`))
+            // Images
+            .replace(image, (m, alt, angled, url, title) =>
+                protect(this.renderImage(alt, angled !== undefined ? angled : url, title)))
+            .replace(/!\[([^\]]*)\]\[([^\]]*)\]/g, (m, alt, ref) => {
+                const def = this.references[(ref || alt).toLowerCase()];
+                return def ? protect(this.renderImage(alt, def.url, def.title)) : m;
+            })
+            // Links
+            .replace(link, (m, label, angled, url, title) =>
+                protect(this.renderLink(label, angled !== undefined ? angled : url, title)))
+            .replace(/\[([^\]]+)\]\[([^\]]*)\]/g, (m, label, ref) => {
+                const def = this.references[(ref || label).toLowerCase()];
+                return def ? protect(this.renderLink(label, def.url, def.title)) : m;
+            })
+            // Inline HTML tags are sanitized (or left to be escaped as text)
+            .replace(/<\/?[a-zA-Z][\w-]*(?:\s+[^<>]*?)?\/?>|<!--[\s\S]*?-->/g, m => this.allowHtml ? protect(this.sanitizeHtml(m)) : m);
+
+        // Everything else is text
+        out = MarkdownRenderer.escapeText(out);
+
+        out = out
+            .replace(/\\([\\`*_{}[\]()#+\-.!|$])/g, '$1')
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^\w*])(\*|_)(?=\S)([\s\S]*?\S)\2(?![\w*])/g, '$1<em>$3</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+            .replace(/ {2,}\n/g, '<br>\n');
+
+        // Restore protected fragments (they may nest, e.g. code inside links)
+        while (/\u0000\d+\u0000/.test(out)) {
+            out = out.replace(/\u0000(\d+)\u0000/g, (m, index) => tokens[index]);
+        }
+        return out;
+    }
+
+    /**
+     * Render an image
+     */
+    renderImage(alt, url, title) {
+        const titleAttr = title ? ` title="${MarkdownRenderer.escapeHtml(title)}"` : '';
+        return `<img src="${MarkdownRenderer.escapeHtml(this.resolveUrl(url))}" alt="${MarkdownRenderer.escapeHtml(alt)}"${titleAttr} loading="lazy">`;
+    }
+
+    /**
+     * Render a link; external links open in a new tab
+     */
+    renderLink(label, url, title) {
+        const href = this.resolveUrl(url);
+        const titleAttr = title ? ` title="${MarkdownRenderer.escapeHtml(title)}"` : '';
+        const external = /^https?:\/\//.test(href) ? ' target="_blank" rel="noopener"' : '';
+        return `<a href="${MarkdownRenderer.escapeHtml(href)}"${titleAttr}${external}>${this.renderInline(label)}</a>`;
+    }
+}
+
+// Raw HTML kept with allowHtml
+MarkdownRenderer.ALLOWED_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'center', 'code', 'dd', 'del', 'details', 'div', 'dl', 'dt',
+    'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+    'ol', 'p', 'picture', 'pre', 'q', 's', 'small', 'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'video'
+]);
+MarkdownRenderer.ALLOWED_ATTRIBUTES = new Set([
+    'align', 'alt', 'class', 'colspan', 'controls', 'height', 'href', 'loop', 'muted', 'open', 'playsinline',
+    'poster', 'rowspan', 'src', 'start', 'target', 'title', 'type', 'width'
+]);
+MarkdownRenderer.VOID_TAGS = new Set(['br', 'hr', 'img', 'source']);
+// Elements removed together with their content
+MarkdownRenderer.DROPPED_ELEMENTS = /<(script|style|iframe|object|embed|noscript|template|textarea|title|xmp)\b[\s\S]*?(?:<\/\1\s*>|$)/gi;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownRenderer;
+}
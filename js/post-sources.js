@@ -0,0 +1,181 @@
+/**
+ * Post Sources
+ * Adapters for the places MLC posts are published. Each source declares how
+ * its posts are fetched and parsed, and BlogLoader merges the results:
+ *
+ *   new BlogLoader({ sources: [
+ *       new PostSource.FeedSource({ id: 'mlc-blog', label: 'MLC Blog', feedUrls: [...] }),
+ *       new PostSource.GitHubReleasesSource({ id: 'releases', label: 'Releases', repos: ['mlc-ai/mlc-llm'] })
+ *   ] });
+ *
+ * Sources are listed in priority order: when two sources publish the same
+ * post, the earlier one is kept.
+ */
+
+class PostSource {
+    constructor(options = {}) {
+        this.id = options.id;
+        this.label = options.label || options.id;
+        this.icon = options.icon || 'fas fa-rss';
+        this.homeUrl = options.homeUrl || null;
+
+        // Only sources whose posts have Markdown in the mlc-ai/blog repo can
+        // open in the in-site reader
+        this.reader = Boolean(options.reader);
+    }
+
+    /**
+     * Fetch this source's posts (without enrichment)
+     */
+    async fetchPosts(loader) {
+        throw new Error(`Post source ${this.id} does not implement fetchPosts()`);
+    }
+
+    /**
+     * Fill in excerpt, taxonomy and read time; null leaves it to BlogLoader
+     */
+    async enrichPost(post, loader) {
+        return null;
+    }
+
+    /**
+     * The default sources: the MLC blog, the TVM blog and release notes
+     */
+    static createDefaults(options = {}) {
+        return [
+            new FeedSource({
+                id: 'mlc-blog',
+                label: 'MLC Blog',
+                icon: 'fas fa-blog',
+                homeUrl: options.blogUrl || 'https://blog.mlc.ai/',
+                feedUrls: options.feedUrls,
+                scrapeHomepage: true,
+                reader: true
+            }),
+            new FeedSource({
+                id: 'tvm-blog',
+                label: 'TVM Blog',
+                icon: 'fas fa-microchip',
+                homeUrl: 'https://tvm.apache.org/blog',
+                feedUrls: [
+                    'https://tvm.apache.org/feed.xml',
+                    'https://tvm.apache.org/rss.xml'
+                ]
+            }),
+            new GitHubReleasesSource({
+                id: 'releases',
+                label: 'Release Notes',
+                icon: 'fab fa-github',
+                repos: ['mlc-ai/mlc-llm', 'mlc-ai/web-llm', 'mlc-ai/xgrammar']
+            })
+        ];
+    }
+}
+
+/**
+ * Atom or RSS feed, tried in order; optionally falls back to scraping the
+ * blog homepage when no feed is available
+ */
+class FeedSource extends PostSource {
+    constructor(options = {}) {
+        super(options);
+        this.feedUrls = options.feedUrls || [];
+        this.scrapeHomepage = Boolean(options.scrapeHomepage);
+    }
+
+    async fetchPosts(loader) {
+        let lastError = null;
+        for (const feedUrl of this.feedUrls) {
+            try {
+                const posts = await loader.fetchPostsFromFeed(feedUrl);
+                if (posts.length > 0) return posts;
+            } catch (error) {
+                console.warn(`Feed unavailable (${feedUrl}), trying next source:`, error);
+                lastError = error;
+            }
+        }
+
+        if (this.scrapeHomepage && this.homeUrl) {
+            return loader.fetchPostsFromBlog(this.homeUrl);
+        }
+        // Every feed failed (rather than being empty): report the source as failed
+        if (lastError) throw lastError;
+        return [];
+    }
+}
+
+/**
+ * Release notes of GitHub repositories (one post per published release)
+ */
+class GitHubReleasesSource extends PostSource {
+    constructor(options = {}) {
+        super(options);
+        this.repos = options.repos || [];
+        // Posts kept per repository, newest first
+        this.perRepo = options.perRepo || 10;
+        this.homeUrl = this.homeUrl || 'https://github.com/mlc-ai';
+    }
+
+    /**
+     * Repository name shown in titles and used as a tag ("mlc-ai/web-llm" -> "web-llm")
+     */
+    getRepoName(repo) {
+        return repo.split('/').pop();
+    }
+
+    async fetchRepoReleases(repo, loader) {
+        const { data: releases } = await loader.github.getReleases(repo);
+        if (!releases) throw new Error(`Releases of ${repo} not found`);
+
+        // "WebLLM 0.2.80" already names web-llm
+        const compact = text => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+        return releases
+            .filter(release => !release.draft && release.html_url)
+            .slice(0, this.perRepo)
+            .map(release => {
+                const name = this.getRepoName(repo);
+                const version = release.name || release.tag_name;
+                const date = release.published_at ? release.published_at.slice(0, 10) : null;
+
+                return {
+                    title: compact(version).includes(compact(name)) ? version : `${name} ${version}`,
+                    url: release.html_url,
+                    date,
+                    formattedDate: loader.formatDate(date),
+                    rawDate: release.published_at,
+                    // Release notes are Markdown
+                    content: release.body || '',
+                    authors: release.author ? [{ name: release.author.login, github: release.author.login }] : [],
+                    categories: ['release'],
+                    tags: [name]
+                };
+            });
+    }
+
+    async fetchPosts(loader) {
+        const { results, failed } = await FetchScheduler.settle(this.repos, repo => this.fetchRepoReleases(repo, loader));
+        failed.forEach(({ item, error }) => console.warn(`Skipping releases of ${item}:`, error));
+
+        // Only fail the source when no repository could be fetched
+        if (failed.length > 0 && results.length === 0) throw failed[0].error;
+        return loader.sortPostsByDate(results.flatMap(({ value }) => value));
+    }
+
+    async enrichPost(post, loader) {
+        const body = post.content || '';
+        return loader.withTaxonomy({
+            ...post,
+            excerpt: body.trim() ? loader.extractExcerpt(body) : 'See the release notes on GitHub.',
+            authors: loader.toAuthorList(post.authors),
+            coverImage: post.coverImage || loader.findFirstImage(body, post.url),
+            ...loader.getMarkdownReadingStats(body)
+        }, post.categories, post.tags);
+    }
+}
+
+PostSource.FeedSource = FeedSource;
+PostSource.GitHubReleasesSource = GitHubReleasesSource;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostSource;
+}
@@ -0,0 +1,286 @@
+/**
+ * Project Manifest
+ * Reads data/projects.json, the list of projects shown on projects.html and
+ * counted in the homepage GitHub totals, and renders the project showcases
+ * and, for entries with "layout": "card", the smaller additional project cards.
+ * Its optional "discovery" block lists the GitHub orgs (and include/exclude
+ * rules) for the repository directory.
+ *
+ *   const projects = await window.mlcProjects.load();
+ *   const repos = window.mlcProjects.getRepos({ totalsOnly: true });
+ */
+
+class ProjectManifest {
+    constructor(options = {}) {
+        this.url = options.url || 'data/projects.json';
+        this.scheduler = options.scheduler || window.mlcFetch;
+        this.projects = null;
+        this.discovery = null;
+        this.loading = null;
+
+        // Called after the showcases are (re)rendered, e.g. to add live stats
+        // or check their links
+        this.renderHooks = [];
+    }
+
+    /**
+     * Fetch the manifest once; projects without a name are skipped
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.fetchProjects().catch(error => {
+                // Let a later call try again
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async fetchProjects() {
+        const response = await this.scheduler.fetch(this.url);
+        if (!response.ok) throw new Error(`Failed to fetch ${this.url}: ${response.status}`);
+
+        const manifest = await response.json();
+        this.projects = (manifest.projects || []).filter(project => {
+            if (project && project.name) return true;
+            console.warn('Skipping project without a name in the manifest:', project);
+            return false;
+        });
+        this.discovery = manifest.discovery || null;
+        return this.projects;
+    }
+
+    /**
+     * Repository paths ("owner/repo") of the loaded projects; with
+     * totalsOnly, only those that count toward the homepage totals
+     */
+    getRepos({ totalsOnly = false } = {}) {
+        const repos = (this.projects || [])
+            .filter(project => /^[\w.-]+\/[\w.-]+$/.test(project.repo || ''))
+            .filter(project => !totalsOnly || project.countInTotals !== false)
+            .map(project => project.repo);
+        return Array.from(new Set(repos));
+    }
+
+    /**
+     * Anchor id of a project (projects.html#webllm); defaults to its name
+     */
+    getProjectId(project) {
+        return project.id || project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Render a project's visual: a code snippet ("code"), a phone with a
+     * chat ("chat") or an architecture diagram ("diagram")
+     */
+    renderVisual(visual) {
+        if (visual.type === 'code') {
+            return HtmlTemplate.html`
+                <div class="project-visual">
+                    <div class="code-snippet">
+                        <div class="code-header">
+                            <span class="code-title">${visual.title || 'Quick Start'}</span>
+                            <button class="copy-btn" data-copy="${visual.copy || visual.code}" aria-label="Copy to clipboard">
+                                <i class="fas fa-copy"></i>
+                            </button>
+                        </div>
+                        <pre><code>${visual.code}</code></pre>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (visual.type === 'chat') {
+            return HtmlTemplate.html`
+                <div class="project-visual">
+                    <div class="mobile-preview">
+                        <div class="phone-frame">
+                            <div class="phone-screen">
+                                <div class="app-interface">
+                                    ${(visual.messages || []).map(message => HtmlTemplate.html`
+                                    <div class="chat-bubble ${message.role === 'user' ? 'user' : 'ai'}">${message.text}</div>`)}
+                                    ${visual.typing ? HtmlTemplate.html`
+                                    <div class="typing-indicator">
+                                        <span></span>
+                                        <span></span>
+                                        <span></span>
+                                    </div>` : ''}
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (visual.type === 'diagram') {
+            return HtmlTemplate.html`
+                <div class="project-visual">
+                    <div class="architecture-diagram">
+                        <div class="diagram-container">
+                            ${(visual.layers || []).map(layer => HtmlTemplate.html`
+                            <div class="diagram-layer">
+                                ${layer.map(item => HtmlTemplate.html`
+                                <div class="diagram-item ${item.kind || 'client'}">
+                                    <i class="${item.icon || 'fas fa-cube'}"></i>
+                                    <span>${item.label}</span>
+                                </div>`)}
+                            </div>`)}
+                        </div>
+                    </div>
+                </div>
+            `;
+        }
+
+        console.warn('Skipping project visual of unknown type:', visual);
+        return '';
+    }
+
+    /**
+     * Render one project showcase; every other one has its visual first
+     */
+    renderProject(project, index) {
+        const info = HtmlTemplate.html`
+            <div class="project-info">
+                ${project.badge ? HtmlTemplate.html`
+                <div class="project-badge">
+                    <i class="${project.badge.icon || 'fas fa-cube'}"></i>
+                    <span>${project.badge.label}</span>
+                </div>` : ''}
+                <h3>${project.name}</h3>
+                <p class="project-summary">${project.summary || ''}</p>
+                ${project.features && project.features.length ? HtmlTemplate.html`
+                <div class="project-features">
+                    ${project.features.map(feature => HtmlTemplate.html`
+                    <div class="feature-item">
+                        <i class="fas fa-check-circle"></i>
+                        <span>${feature}</span>
+                    </div>`)}
+                </div>` : ''}
+                <div class="project-actions">
+                    ${project.repo ? HtmlTemplate.html`
+                    <a href="https://github.com/${project.repo}" class="btn btn-primary" target="_blank" rel="noopener">
+                        <i class="fab fa-github"></i>
+                        View on GitHub
+                    </a>` : ''}
+                    ${project.docs ? HtmlTemplate.html`
+                    <a href="${project.docs.url}" class="btn btn-secondary" target="_blank" rel="noopener">
+                        <i class="fas fa-book"></i>
+                        ${project.docs.label || 'Documentation'}
+                    </a>` : ''}
+                </div>
+            </div>
+        `;
+
+        const visual = project.visual ? this.renderVisual(project.visual) : '';
+
+        const reverse = visual && index % 2 === 1;
+        return HtmlTemplate.html`
+            <div class="project-showcase" id="${this.getProjectId(project)}" data-repo="${project.repo || ''}">
+                <div class="project-content${reverse ? ' reverse' : ''}">
+                    ${reverse ? [visual, info] : [info, visual]}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one additional project card; it links to its docs, or else its repo
+     */
+    renderCard(project) {
+        const link = project.docs || (project.repo ? { url: `https://github.com/${project.repo}` } : null);
+
+        return HtmlTemplate.html`
+            <div class="project-card" id="${this.getProjectId(project)}" data-repo="${project.repo || ''}">
+                <div class="project-icon">
+                    <i class="${(project.badge && project.badge.icon) || 'fas fa-cube'}"></i>
+                </div>
+                <h3>${project.name}</h3>
+                <p>${project.summary || ''}</p>
+                ${link ? HtmlTemplate.html`
+                <a href="${link.url}" class="project-link" target="_blank" rel="noopener">
+                    ${link.label || 'View Repository'} <i class="fas fa-arrow-right"></i>
+                </a>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(container) {
+        HtmlTemplate.render(container, HtmlTemplate.html`
+            <div style="text-align: center; padding: 3rem;">
+                <i class="fas fa-spinner fa-spin" style="font-size: 2rem; color: var(--primary-color); margin-bottom: 1rem;"></i>
+                <p style="color: var(--text-secondary);">Loading projects...</p>
+            </div>
+        `);
+    }
+
+    /**
+     * Show error state with a Retry button
+     */
+    showError(container, cardContainer = null) {
+        HtmlTemplate.render(container, HtmlTemplate.html`
+            <div style="text-align: center; padding: 3rem;">
+                <i class="fas fa-exclamation-triangle" style="font-size: 2rem; color: var(--accent-color); margin-bottom: 1rem;"></i>
+                <p style="color: var(--text-secondary);">Failed to load projects.</p>
+                <button type="button" class="btn btn-outline retry-btn" style="margin-top: 1rem;">
+                    <i class="fas fa-redo"></i>
+                    Retry
+                </button>
+            </div>
+        `);
+
+        container.querySelector('.retry-btn').addEventListener('click', () => this.render(container, cardContainer));
+    }
+
+    /**
+     * Render the showcases into a container (.project-list on projects.html)
+     * and the cards into cardContainer; the cards' section stays hidden
+     * while there are none
+     */
+    async render(container, cardContainer = null) {
+        this.showLoading(container);
+
+        try {
+            const projects = await this.load();
+            const showcases = projects.filter(project => project.layout !== 'card');
+            const cards = projects.filter(project => project.layout === 'card');
+
+            HtmlTemplate.render(container, showcases.map((project, index) => this.renderProject(project, index)));
+            if (cardContainer) {
+                HtmlTemplate.render(cardContainer, cards.map(project => this.renderCard(project)));
+                const section = cardContainer.closest('section');
+                if (section) section.hidden = cards.length === 0;
+            }
+        } catch (error) {
+            console.error('Error loading projects:', error);
+            this.showError(container, cardContainer);
+            return;
+        }
+
+        // The showcases and cards didn't exist when the browser tried the #anchor
+        const target = location.hash ? document.getElementById(decodeURIComponent(location.hash.slice(1))) : null;
+        if (target && (container.contains(target) || (cardContainer && cardContainer.contains(target)))) {
+            target.scrollIntoView();
+        }
+
+        this.renderHooks.forEach(hook => hook(this.projects));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectManifest;
+} else {
+    // Shared instance so the page and the stats loader read the manifest once
+    window.mlcProjects = new ProjectManifest();
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const container = document.querySelector('.project-list');
+        if (container) {
+            window.mlcProjects.render(container, document.querySelector('.additional-projects .projects-grid'));
+        }
+    });
+}
@@ -0,0 +1,296 @@
+/**
+ * Release Feed
+ * Collects the GitHub releases of every project in data/projects.json into
+ * one chronological list: the "What's New" section on the homepage shows the
+ * latest few, and releases.html the full history, filterable by project
+ * (releases.html?project=webllm).
+ */
+
+class ReleaseFeed {
+    constructor(options = {}) {
+        this.github = options.github || window.mlcGitHub;
+        this.manifest = options.manifest || window.mlcProjects;
+        this.cache = options.cache || window.mlcCache;
+        this.cacheTtl = options.cacheTtl || 60 * 60 * 1000;
+
+        // How many releases the homepage shows
+        this.latestCount = options.latestCount || 5;
+
+        this.releases = [];
+        this.failedRepos = [];
+
+        // Project id the history is filtered to (null for all)
+        this.project = null;
+    }
+
+    /**
+     * First few top-level lines of a changelog as Markdown ({ markdown,
+     * truncated }); comments, headings, code blocks, images, lines of raw
+     * HTML and the "Full Changelog" link are left out. Release notes are
+     * written by anyone with push access, so the excerpt is rendered with
+     * raw HTML escaped (see renderChangelog).
+     */
+    getChangelogExcerpt(body, maxLines = 4) {
+        const lines = (body || '')
+            .replace(/<!--[\s\S]*?(?:-->|(?![\s\S]))/g, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/^(```|~~~)[\s\S]*?(?:^\1|(?![\s\S]))/gm, '')
+            .split('\n')
+            .filter(line => line.trim() &&
+                !/^\s{2,}\S/.test(line) &&
+                !/^\s*(#|[-*_=]{3,}\s*$|!\[)/.test(line) &&
+                !/^\s*<\/?[a-zA-Z]/.test(line) &&
+                !/^\s*\*\*Full Changelog\*\*/i.test(line));
+
+        return {
+            markdown: lines.slice(0, maxLines).join('\n'),
+            truncated: lines.length > maxLines
+        };
+    }
+
+    /**
+     * A repository's published releases, newest first
+     */
+    async fetchRepoReleases(project) {
+        const { data } = await this.github.getReleases(project.repo);
+        if (!data) throw new Error(`Releases of ${project.repo} not found`);
+
+        return data
+            .filter(release => !release.draft && release.html_url && release.published_at)
+            .map(release => ({
+                id: `${project.repo}@${release.tag_name}`,
+                project: this.manifest.getProjectId(project),
+                projectName: project.name,
+                repo: project.repo,
+                name: release.name || release.tag_name,
+                tag: release.tag_name,
+                url: release.html_url,
+                publishedAt: release.published_at,
+                prerelease: Boolean(release.prerelease),
+                // Only the excerpt is kept, so the cache stays small
+                changelog: this.getChangelogExcerpt(release.body)
+            }));
+    }
+
+    /**
+     * Fetch the releases of every project with a repo, merged newest first
+     */
+    async fetchReleases() {
+        await this.manifest.load();
+        const projects = this.manifest.projects.filter(project => project.repo);
+
+        const { results, failed } = await FetchScheduler.settle(projects, project => this.fetchRepoReleases(project));
+        failed.forEach(({ item, error }) => console.error(`Error fetching releases of ${item.repo}:`, error));
+        if (results.length === 0 && failed.length > 0) throw failed[0].error;
+
+        return {
+            releases: results
+                .flatMap(({ value }) => value)
+                .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)),
+            failed: failed.map(({ item }) => item.repo)
+        };
+    }
+
+    /**
+     * Format an ISO date as "Oct 1, 2026"
+     */
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    /**
+     * Render a changelog excerpt with raw HTML escaped; relative links
+     * resolve against the release
+     */
+    renderChangelog(release) {
+        if (!release.changelog.markdown) {
+            return HtmlTemplate.html`<p class="release-notes-empty">No release notes.</p>`;
+        }
+        const renderer = new MarkdownRenderer({ baseUrl: release.url });
+        return renderer.render(release.changelog.markdown).html;
+    }
+
+    /**
+     * Render one release
+     */
+    renderRelease(release) {
+        return HtmlTemplate.html`
+            <article class="release-card" data-project="${release.project}">
+                <div class="release-meta">
+                    <span class="release-project">${release.projectName}</span>
+                    <time datetime="${release.publishedAt}">${this.formatDate(release.publishedAt)}</time>
+                    ${release.prerelease ? HtmlTemplate.html`<span class="release-badge">Pre-release</span>` : ''}
+                </div>
+                <h3 class="release-title">
+                    <a href="${release.url}" target="_blank" rel="noopener">${release.name}</a>
+                    ${release.name !== release.tag ? HtmlTemplate.html`<code class="release-tag">${release.tag}</code>` : ''}
+                </h3>
+                <div class="release-notes">
+                    ${this.renderChangelog(release)}
+                </div>
+                <a href="${release.url}" class="release-link" target="_blank" rel="noopener">
+                    ${release.changelog.truncated ? 'Full release notes' : 'View on GitHub'}
+                    <i class="fas fa-arrow-right"></i>
+                </a>
+            </article>
+        `;
+    }
+
+    /**
+     * Render the releases shown in a list, or an empty state
+     */
+    renderList(list, releases) {
+        if (releases.length === 0) {
+            HtmlTemplate.render(list, HtmlTemplate.html`
+                <p class="release-empty">No releases yet.</p>
+            `);
+            return;
+        }
+        HtmlTemplate.render(list, releases.map(release => this.renderRelease(release)));
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading(list) {
+        HtmlTemplate.render(list, HtmlTemplate.html`
+            <div class="release-empty">
+                <i class="fas fa-spinner fa-spin"></i>
+                Loading releases...
+            </div>
+        `);
+    }
+
+    /**
+     * Show error state with a Retry button
+     */
+    showError(list, onRetry) {
+        HtmlTemplate.render(list, HtmlTemplate.html`
+            <div class="release-empty">
+                <p>Releases are unavailable right now.</p>
+                <button type="button" class="btn btn-outline retry-btn">
+                    <i class="fas fa-redo"></i>
+                    Retry
+                </button>
+            </div>
+        `);
+        list.querySelector('.retry-btn').addEventListener('click', onRetry);
+    }
+
+    /**
+     * Note repositories whose releases couldn't be fetched
+     */
+    renderStatus(status) {
+        if (!status) return;
+
+        status.hidden = this.failedRepos.length === 0;
+        HtmlTemplate.render(status, this.failedRepos.length ? HtmlTemplate.html`
+            <span>
+                <i class="fas fa-exclamation-triangle"></i>
+                Releases of ${this.failedRepos.join(', ')} couldn't be loaded.
+            </span>
+        ` : '');
+    }
+
+    /**
+     * Load the releases (cached for an hour) and render them with render()
+     */
+    async load(list, render) {
+        this.showLoading(list);
+
+        try {
+            await this.cache.staleWhileRevalidate('github-releases', () => this.fetchReleases(), {
+                ttl: this.cacheTtl,
+                onData: data => {
+                    this.releases = data.releases;
+                    this.failedRepos = data.failed;
+                    render();
+                }
+            });
+        } catch (error) {
+            console.error('Error loading releases:', error);
+            this.showError(list, () => this.load(list, render));
+        }
+    }
+
+    /**
+     * "What's New" on the homepage: the latest releases across projects
+     */
+    initHomepage() {
+        const list = document.querySelector('.whats-new .release-list');
+        if (!list) return;
+
+        this.load(list, () => this.renderList(list, this.releases.slice(0, this.latestCount)));
+    }
+
+    /**
+     * Fill the project filter with the projects that have releases
+     */
+    renderProjectFilter(select) {
+        const projects = new Map();
+        this.releases.forEach(release => {
+            const entry = projects.get(release.project) || { name: release.projectName, count: 0 };
+            entry.count++;
+            projects.set(release.project, entry);
+        });
+        if (this.project && !projects.has(this.project)) this.project = null;
+
+        HtmlTemplate.render(select, HtmlTemplate.html`
+            <option value="">All projects (${this.releases.length})</option>
+            ${Array.from(projects).map(([id, entry]) => HtmlTemplate.html`
+            <option value="${id}" ${id === this.project ? 'selected' : ''}>${entry.name} (${entry.count})</option>`)}
+        `);
+    }
+
+    /**
+     * Keep the selected project in the URL (?project=webllm)
+     */
+    saveFilter() {
+        const params = new URLSearchParams(window.location.search);
+        if (this.project) {
+            params.set('project', this.project);
+        } else {
+            params.delete('project');
+        }
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    /**
+     * Full release history on releases.html
+     */
+    initHistory() {
+        const list = document.querySelector('.release-history .release-list');
+        if (!list) return;
+
+        const select = document.querySelector('.release-project-filter');
+        const status = document.querySelector('.release-status');
+        this.project = new URLSearchParams(window.location.search).get('project');
+
+        const render = () => {
+            if (select) this.renderProjectFilter(select);
+            this.renderStatus(status);
+            this.renderList(list, this.releases.filter(release => !this.project || release.project === this.project));
+        };
+
+        if (select) {
+            select.addEventListener('change', () => {
+                this.project = select.value || null;
+                this.saveFilter();
+                render();
+            });
+        }
+
+        this.load(list, render);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReleaseFeed;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        const releaseFeed = new ReleaseFeed();
+        releaseFeed.initHomepage();
+        releaseFeed.initHistory();
+    });
+}
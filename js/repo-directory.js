@@ -0,0 +1,250 @@
+/**
+ * Repository Directory
+ * Lists every public repo of the GitHub orgs in data/projects.json's
+ * discovery block on repositories.html, sortable by stars, recent activity
+ * or language and filterable by language
+ * (repositories.html?sort=activity&language=Python).
+ */
+
+class RepoDirectory extends GitHubStatsLoader {
+    constructor(options = {}) {
+        super(options);
+        this.sort = 'stars';
+        this.language = null;
+        this.directory = [];
+    }
+
+    /**
+     * Sort repos by the selected order; ties go to the most starred
+     */
+    sortRepos(repos) {
+        const byStars = (a, b) => b.stars - a.stars || a.name.localeCompare(b.name);
+        const compare = {
+            stars: byStars,
+            activity: (a, b) => new Date(b.pushedAt || 0) - new Date(a.pushedAt || 0) || byStars(a, b),
+            // Repos without a detected language go last
+            language: (a, b) => (a.language === null) - (b.language === null) ||
+                (a.language || '').localeCompare(b.language || '') ||
+                byStars(a, b)
+        }[this.sort] || byStars;
+
+        return repos.slice().sort(compare);
+    }
+
+    /**
+     * Repos shown with the current language filter and sort order
+     */
+    getVisibleRepos() {
+        return this.sortRepos(this.directory.filter(repo => !this.language || repo.language === this.language));
+    }
+
+    /**
+     * Render one repository card
+     */
+    renderRepoCard(repo) {
+        const [owner, name] = repo.name.split('/');
+        return HtmlTemplate.html`
+            <article class="project-card repo-card${repo.archived ? ' is-archived' : ''}">
+                <h3 class="repo-name">
+                    <a href="${repo.url}" target="_blank" rel="noopener">
+                        <span class="repo-owner">${owner}/</span>${name}
+                    </a>
+                </h3>
+                ${repo.archived || repo.fork || this.isStale(repo) ? HtmlTemplate.html`
+                <div class="repo-flags">
+                    ${repo.archived ? HtmlTemplate.html`<span class="repo-flag archived"><i class="fas fa-archive"></i> Archived</span>` : ''}
+                    ${repo.fork ? HtmlTemplate.html`<span class="repo-flag fork"><i class="fas fa-code-branch"></i> Fork</span>` : ''}
+                    ${!repo.archived && this.isStale(repo) ? HtmlTemplate.html`<span class="repo-flag stale"><i class="fas fa-hourglass-end"></i> Stale</span>` : ''}
+                </div>` : ''}
+                <p>${repo.description || 'No description.'}</p>
+                <div class="project-stats repo-stats">
+                    ${repo.language ? HtmlTemplate.html`
+                    <span class="stat">
+                        <i class="fas fa-code"></i>
+                        ${repo.language}
+                    </span>` : ''}
+                    <span class="stat" title="${repo.stars.toLocaleString('en-US')} stars">
+                        <i class="fas fa-star"></i>
+                        ${this.formatNumber(repo.stars)}
+                    </span>
+                    <span class="stat" title="${repo.forks.toLocaleString('en-US')} forks">
+                        <i class="fas fa-code-branch"></i>
+                        ${this.formatNumber(repo.forks)}
+                    </span>
+                    ${repo.pushedAt ? HtmlTemplate.html`
+                    <span class="stat" title="Last commit">
+                        <i class="fas fa-history"></i>
+                        Updated ${this.formatMonth(repo.pushedAt)}
+                    </span>` : ''}
+                </div>
+            </article>
+        `;
+    }
+
+    /**
+     * Fill the language filter with the languages present, with counts
+     */
+    renderLanguageFilter(select) {
+        const counts = new Map();
+        this.directory.forEach(repo => {
+            if (repo.language) counts.set(repo.language, (counts.get(repo.language) || 0) + 1);
+        });
+        if (this.language && !counts.has(this.language)) this.language = null;
+
+        const languages = Array.from(counts.keys()).sort((a, b) => a.localeCompare(b));
+        HtmlTemplate.render(select, HtmlTemplate.html`
+            <option value="">All languages (${this.directory.length})</option>
+            ${languages.map(language => HtmlTemplate.html`
+            <option value="${language}" ${language === this.language ? 'selected' : ''}>${language} (${counts.get(language)})</option>`)}
+        `);
+    }
+
+    /**
+     * Render the directory with the current sort and filter
+     */
+    renderDirectory({ fromCache = false, storedAt = null } = {}) {
+        const grid = document.querySelector('.repo-directory .projects-grid');
+        const languageSelect = document.querySelector('.repo-language-filter');
+        const count = document.querySelector('.repo-count');
+        const status = document.querySelector('.repo-status');
+
+        if (languageSelect) this.renderLanguageFilter(languageSelect);
+
+        const repos = this.getVisibleRepos();
+        if (count) count.textContent = `${repos.length} ${repos.length === 1 ? 'repository' : 'repositories'}`;
+
+        HtmlTemplate.render(grid, repos.length ? repos.map(repo => this.renderRepoCard(repo)) : HtmlTemplate.html`
+            <p class="release-empty">No repositories match.</p>
+        `);
+
+        if (status) {
+            const rateLimited = this.github.isRateLimited();
+            const cachedTimes = this.directory.filter(repo => repo.rateLimited).map(repo => repo.fetchedAt);
+            const asOf = cachedTimes.length ? Math.min(...cachedTimes) : (fromCache && rateLimited ? storedAt : null);
+
+            status.hidden = !asOf && this.failedOrgs.length === 0;
+            HtmlTemplate.render(status, HtmlTemplate.html`
+                ${asOf ? HtmlTemplate.html`
+                <span>
+                    <i class="fas fa-history"></i>
+                    As of ${this.formatTime(asOf)}: GitHub's rate limit was reached, so these are the last known values.
+                </span>` : ''}
+                ${this.failedOrgs.length ? HtmlTemplate.html`
+                <span>
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Repositories of ${this.failedOrgs.join(', ')} couldn't be loaded.
+                </span>` : ''}
+            `);
+        }
+    }
+
+    /**
+     * Keep the sort order and language in the URL
+     */
+    saveViewState() {
+        const params = new URLSearchParams(window.location.search);
+        if (this.sort !== 'stars') {
+            params.set('sort', this.sort);
+        } else {
+            params.delete('sort');
+        }
+        if (this.language) {
+            params.set('language', this.language);
+        } else {
+            params.delete('language');
+        }
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    /**
+     * Show loading state
+     */
+    showLoading() {
+        HtmlTemplate.render(document.querySelector('.repo-directory .projects-grid'), HtmlTemplate.html`
+            <div class="release-empty">
+                <i class="fas fa-spinner fa-spin"></i>
+                Loading repositories...
+            </div>
+        `);
+    }
+
+    /**
+     * Show error state with a Retry button
+     */
+    showError() {
+        const grid = document.querySelector('.repo-directory .projects-grid');
+        HtmlTemplate.render(grid, HtmlTemplate.html`
+            <div class="release-empty">
+                <p>The repository directory is unavailable right now.</p>
+                <button type="button" class="btn btn-outline retry-btn">
+                    <i class="fas fa-redo"></i>
+                    Retry
+                </button>
+            </div>
+        `);
+        grid.querySelector('.retry-btn').addEventListener('click', () => this.init());
+    }
+
+    /**
+     * Initialize the directory on repositories.html
+     */
+    async init() {
+        const params = new URLSearchParams(window.location.search);
+        this.sort = params.get('sort') || 'stars';
+        this.language = params.get('language');
+
+        const sortSelect = document.querySelector('.repo-sort');
+        if (sortSelect && !sortSelect.dataset.bound) {
+            sortSelect.dataset.bound = 'true';
+            sortSelect.value = this.sort;
+            sortSelect.addEventListener('change', () => {
+                this.sort = sortSelect.value;
+                this.saveViewState();
+                this.renderDirectory();
+            });
+        }
+
+        const languageSelect = document.querySelector('.repo-language-filter');
+        if (languageSelect && !languageSelect.dataset.bound) {
+            languageSelect.dataset.bound = 'true';
+            languageSelect.addEventListener('change', () => {
+                this.language = languageSelect.value || null;
+                this.saveViewState();
+                this.renderDirectory();
+            });
+        }
+
+        this.showLoading();
+
+        try {
+            const fetcher = async () => {
+                const repos = await this.discoverRepos();
+                return { repos, failedOrgs: this.failedOrgs.slice() };
+            };
+
+            await this.cache.staleWhileRevalidate('github-org-repos', fetcher, {
+                ttl: this.cacheTtl,
+                onData: (data, meta) => {
+                    this.directory = data.repos;
+                    this.failedOrgs = data.failedOrgs;
+                    this.renderDirectory(meta);
+                }
+            });
+        } catch (error) {
+            console.error('Error loading the repository directory:', error);
+            this.showError();
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RepoDirectory;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (document.querySelector('.repo-directory')) {
+            const repoDirectory = new RepoDirectory();
+            repoDirectory.init();
+        }
+    });
+}
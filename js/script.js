@@ -59,6 +59,8 @@ document.addEventListener('DOMContentLoaded', function() {
     }, { threshold: 0.5 });
 
     statNumbers.forEach(stat => {
+        // Live metrics (community.html) are filled in by their loader
+        if (stat.closest('[data-metric]')) return;
         statsObserver.observe(stat);
     });
 
@@ -67,6 +69,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const isPlus = finalText.includes('+');
         const isK = finalText.includes('K');
         const number = parseInt(finalText.replace(/[^\d]/g, ''));
+        if (isNaN(number)) return;
         
         let current = 0;
         const increment = number / 50;
@@ -119,23 +122,8 @@ document.addEventListener('DOMContentLoaded', function() {
         hero.style.transform = '';
     }
 
-    // Lazy loading for images (if any are added later)
-    if ('IntersectionObserver' in window) {
-        const imageObserver = new IntersectionObserver((entries, observer) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.classList.remove('lazy');
-                    imageObserver.unobserve(img);
-                }
-            });
-        });
-
-        document.querySelectorAll('img[data-src]').forEach(img => {
-            imageObserver.observe(img);
-        });
-    }
+    // Lazy loading for images (rendered content calls MLCUtils.observeLazyImages)
+    observeLazyImages(document);
 
     // Search functionality (if search is added later)
     const searchInput = document.querySelector('.search-input');
@@ -198,21 +186,20 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
-    // Copy to clipboard functionality
-    const copyButtons = document.querySelectorAll('.copy-btn');
-    copyButtons.forEach(btn => {
-        btn.addEventListener('click', function() {
-            const textToCopy = this.dataset.copy;
-            navigator.clipboard.writeText(textToCopy).then(() => {
-                const originalText = this.textContent;
-                this.textContent = 'Copied!';
-                this.style.background = '#10b981';
-                
-                setTimeout(() => {
-                    this.textContent = originalText;
-                    this.style.background = '';
-                }, 2000);
-            });
+    // Copy to clipboard functionality (delegated, so rendered snippets work too)
+    document.addEventListener('click', function(e) {
+        const btn = e.target.closest('.copy-btn');
+        if (!btn || !btn.dataset.copy) return;
+
+        navigator.clipboard.writeText(btn.dataset.copy).then(() => {
+            const originalContent = btn.innerHTML;
+            btn.textContent = 'Copied!';
+            btn.style.background = '#10b981';
+
+            setTimeout(() => {
+                btn.innerHTML = originalContent;
+                btn.style.background = '';
+            }, 2000);
         });
     });
 
@@ -337,9 +324,41 @@ function throttle(func, limit) {
     };
 }
 
+// Lazy loading for img[data-src]; shared so dynamically rendered images use it too
+let imageObserver = null;
+
+function loadLazyImage(img) {
+    img.src = img.dataset.src;
+    img.removeAttribute('data-src');
+    img.classList.remove('lazy');
+}
+
+function observeLazyImages(root) {
+    const images = (root || document).querySelectorAll('img[data-src]');
+
+    if (!('IntersectionObserver' in window)) {
+        images.forEach(loadLazyImage);
+        return;
+    }
+
+    if (!imageObserver) {
+        imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    loadLazyImage(entry.target);
+                    imageObserver.unobserve(entry.target);
+                }
+            });
+        }, { rootMargin: '200px 0px' });
+    }
+
+    images.forEach(img => imageObserver.observe(img));
+}
+
 // Export functions for use in other scripts
 window.MLCUtils = {
     debounce,
-    throttle
+    throttle,
+    observeLazyImages
 };
 
@@ -0,0 +1,104 @@
+/**
+ * HTML Templates
+ * Tagged templates for building markup from remote data. Interpolated values
+ * are escaped by default, and values in URL attributes (href, src, ...) must
+ * be http(s) or relative URLs, so a crafted title or link can't inject markup
+ * or scripts:
+ *
+ *   HtmlTemplate.render(element, HtmlTemplate.html`<a href="${post.url}">${post.title}</a>`);
+ *
+ * Nested templates, arrays of templates and HtmlTemplate.raw() values are
+ * inserted as-is.
+ */
+
+class SafeHtml {
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+class HtmlTemplate {
+    /**
+     * Escape text for use in HTML content and quoted attributes
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Mark already-safe markup (e.g. rendered Markdown) as trusted
+     */
+    static raw(html) {
+        return html instanceof SafeHtml ? html : new SafeHtml(html === null || html === undefined ? '' : String(html));
+    }
+
+    /**
+     * Check that a URL is http(s) or relative (no javascript:, data:, ...)
+     */
+    static isSafeUrl(url) {
+        if (url === null || url === undefined) return false;
+
+        // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+        const compact = String(url).replace(/[\u0000- \u007f]/g, '');
+        if (!compact) return false;
+
+        const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || /^https?$/i.test(scheme[1]);
+    }
+
+    /**
+     * Return the URL if it is safe, otherwise the fallback
+     */
+    static safeUrl(url, fallback = '#') {
+        return HtmlTemplate.isSafeUrl(url) ? String(url).trim() : fallback;
+    }
+
+    /**
+     * Convert an interpolated value to markup
+     */
+    static interpolate(value, isUrl) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof SafeHtml) return value.html;
+        if (Array.isArray(value)) return value.map(item => HtmlTemplate.interpolate(item, isUrl)).join('');
+        return HtmlTemplate.escape(isUrl ? HtmlTemplate.safeUrl(value) : value);
+    }
+
+    /**
+     * Tagged template that escapes every interpolated value
+     */
+    static html(strings, ...values) {
+        // Values right after href=" / src=" etc. are validated as URLs
+        const urlAttribute = /(?:^|\s)(?:href|src|action|formaction|poster|cite|data-src)\s*=\s*["']?$/i;
+
+        let html = strings[0];
+        values.forEach((value, i) => {
+            html += HtmlTemplate.interpolate(value, urlAttribute.test(strings[i])) + strings[i + 1];
+        });
+        return new SafeHtml(html);
+    }
+
+    /**
+     * Replace an element's content with a template (or an array of them);
+     * plain strings are inserted as text
+     */
+    static render(element, content) {
+        if (!element) return;
+        element.innerHTML = HtmlTemplate.interpolate(content, false);
+    }
+}
+
+HtmlTemplate.SafeHtml = SafeHtml;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlTemplate;
+}
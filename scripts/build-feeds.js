@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+/**
+ * Build Site Feeds
+ * Writes feed.xml (Atom), rss.xml (RSS 2.0) and feed.json (JSON Feed 1.1)
+ * from the post index, so the aggregated blog can be followed in feed
+ * readers and chat RSS bots.
+ *
+ * Usage:
+ *   node scripts/build-feeds.js [--index <file>] [--site <url>] [--out-dir <dir>] [--limit <n>]
+ *
+ * Run scripts/build-posts-index.js first to refresh data/posts.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+global.GitHubClient = require('../js/github-client.js');
+global.FeedParser = require('../js/feed-parser.js');
+global.FrontMatterParser = require('../js/front-matter.js');
+global.PostSource = require('../js/post-sources.js');
+const BlogLoader = require('../js/blog-loader.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const FEED_TITLE = 'MLC Blog';
+const FEED_DESCRIPTION = 'Posts from the MLC community on machine learning compilation, deployment and research.';
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Read the site URL from CNAME (e.g. mlc.ai -> https://mlc.ai/)
+ */
+function readSiteUrl() {
+    try {
+        const domain = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+        if (domain) return `https://${domain}/`;
+    } catch (e) {
+        // No CNAME; fall through
+    }
+    return 'https://mlc.ai/';
+}
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+        // Control characters are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+/**
+ * RFC 3339 timestamp for a post date (YYYY-MM-DD)
+ */
+function toIsoDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? `${date}T00:00:00Z` : null;
+}
+
+/**
+ * Check for an absolute http(s) URL (feed readers need absolute links)
+ */
+function isHttpUrl(url) {
+    return /^https?:\/\/\S+$/i.test(url || '');
+}
+
+/**
+ * GitHub profile URL for an author, or their own URL
+ */
+function authorUrl(author) {
+    if (author.github) return `https://github.com/${author.github}`;
+    return isHttpUrl(author.url) ? author.url : null;
+}
+
+/**
+ * Categories and tags as one de-duplicated term list
+ */
+function postTerms(post) {
+    return Array.from(new Set([...(post.categories || []), ...(post.tags || [])]));
+}
+
+/**
+ * Render an Atom 1.0 feed
+ */
+function renderAtom(posts, feed) {
+    const entries = posts.map(post => {
+        const date = toIsoDate(post.date) || feed.updated;
+        const authors = post.authors.map(author => `
+    <author>
+      <name>${escapeXml(author.name)}</name>${authorUrl(author) ? `
+      <uri>${escapeXml(authorUrl(author))}</uri>` : ''}
+    </author>`).join('');
+        const categories = postTerms(post).map(term => `
+    <category term="${escapeXml(term)}" label="${escapeXml(feed.loader.formatTermLabel(term))}"/>`).join('');
+
+        return `
+  <entry>
+    <title type="text">${escapeXml(post.title)}</title>
+    <link href="${escapeXml(post.url)}" rel="alternate" type="text/html"/>
+    <id>${escapeXml(post.url)}</id>
+    <published>${date}</published>
+    <updated>${date}</updated>${authors}${categories}
+    <summary type="text">${escapeXml(post.excerpt)}</summary>
+  </entry>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.urls.atom)}" rel="self" type="application/atom+xml"/>
+  <link href="${escapeXml(feed.homePageUrl)}" rel="alternate" type="text/html"/>
+  <id>${escapeXml(feed.urls.atom)}</id>
+  <updated>${feed.updated}</updated>
+  <author>
+    <name>MLC</name>
+    <uri>${escapeXml(feed.siteUrl)}</uri>
+  </author>${entries}
+</feed>
+`;
+}
+
+/**
+ * Render an RSS 2.0 feed
+ */
+function renderRss(posts, feed) {
+    const items = posts.map(post => {
+        const date = toIsoDate(post.date);
+        const creators = post.authors.map(author => `
+      <dc:creator>${escapeXml(author.name)}</dc:creator>`).join('');
+        const categories = postTerms(post).map(term => `
+      <category>${escapeXml(term)}</category>`).join('');
+
+        return `
+    <item>
+      <title>${escapeXml(post.title)}</title>
+      <link>${escapeXml(post.url)}</link>
+      <guid isPermaLink="true">${escapeXml(post.url)}</guid>${date ? `
+      <pubDate>${new Date(date).toUTCString()}</pubDate>` : ''}${creators}${categories}
+      <description>${escapeXml(post.excerpt)}</description>
+    </item>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homePageUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.urls.rss)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ */
+function renderJsonFeed(posts, feed) {
+    const document = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.urls.json,
+        language: 'en',
+        items: posts.map(post => {
+            const item = {
+                id: post.url,
+                url: post.url,
+                title: post.title,
+                summary: post.excerpt,
+                content_text: post.excerpt,
+                date_published: toIsoDate(post.date) || undefined,
+                authors: post.authors.map(author => ({
+                    name: author.name,
+                    url: authorUrl(author) || undefined,
+                    avatar: feed.loader.getAuthorAvatarUrl(author, 128) || undefined
+                })),
+                tags: postTerms(post)
+            };
+            if (post.coverImage) item.image = post.coverImage.url;
+            return item;
+        })
+    };
+
+    return JSON.stringify(document, null, 2) + '\n';
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const indexFile = path.resolve(ROOT, args.index || 'data/posts.json');
+    const outDir = path.resolve(ROOT, args['out-dir'] || '.');
+    const siteUrl = new URL(args.site || readSiteUrl()).href;
+    const limit = parseInt(args.limit, 10) || 50;
+
+    if (!fs.existsSync(indexFile)) {
+        throw new Error(`${path.relative(ROOT, indexFile)} not found; run scripts/build-posts-index.js first`);
+    }
+
+    // Same post model the pages use (normalized authors, sorted by date)
+    const loader = new BlogLoader();
+    const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+    loader.setPosts(loader.sortPostsByDate(index.posts || []));
+    const posts = loader.posts.filter(post => post.title && isHttpUrl(post.url)).slice(0, limit);
+
+    const latest = posts.map(post => toIsoDate(post.date)).find(Boolean);
+    const feed = {
+        loader,
+        siteUrl,
+        title: FEED_TITLE,
+        description: FEED_DESCRIPTION,
+        homePageUrl: new URL('blog.html', siteUrl).href,
+        updated: latest || new Date(index.generatedAt || Date.now()).toISOString(),
+        urls: {
+            atom: new URL('feed.xml', siteUrl).href,
+            rss: new URL('rss.xml', siteUrl).href,
+            json: new URL('feed.json', siteUrl).href
+        }
+    };
+
+    const outputs = {
+        'feed.xml': renderAtom(posts, feed),
+        'rss.xml': renderRss(posts, feed),
+        'feed.json': renderJsonFeed(posts, feed)
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    Object.keys(outputs).forEach(name => {
+        fs.writeFileSync(path.join(outDir, name), outputs[name]);
+        console.log(`Wrote ${posts.length} posts to ${path.relative(ROOT, path.join(outDir, name)) || name}`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error('Error building feeds:', error);
+    process.exit(1);
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Build Blog Post Index
+ * Generates data/posts.json from every post source (the MLC blog, the TVM
+ * blog and release notes) so pages can render the blog with a single request
+ * instead of crawling every post.
+ *
+ * Usage:
+ *   GITHUB_TOKEN=... node scripts/build-posts-index.js [--feed <url or file>] [--out <file>]
+ *
+ * --feed builds from a single MLC blog feed instead of all sources. The
+ * token is optional; it raises the API limit for the release notes.
+ *
+ * Requires Node 18+ (global fetch).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+global.GitHubClient = require('../js/github-client.js');
+global.FeedParser = require('../js/feed-parser.js');
+global.FrontMatterParser = require('../js/front-matter.js');
+global.BlogSearchIndex = require('../js/blog-search.js');
+global.PostSource = require('../js/post-sources.js');
+const BlogLoader = require('../js/blog-loader.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Read a feed from a URL or a local file (handy for fixtures)
+ */
+async function readFeed(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error(`Failed to fetch ${source}: ${response.status}`);
+        return response.text();
+    }
+    return fs.readFileSync(path.resolve(source), 'utf8');
+}
+
+/**
+ * Load the MLC blog's posts from a single feed
+ */
+async function loadFeedPosts(loader, feedSource) {
+    const xml = await readFeed(feedSource);
+    const baseUrl = /^https?:\/\//.test(feedSource) ? feedSource : loader.blogUrl;
+    const feed = loader.feedParser.parse(xml, baseUrl);
+    const source = loader.sources[0] ? loader.sources[0].id : null;
+
+    return loader.sortPostsByDate(feed.entries
+        .filter(entry => entry.title && entry.url)
+        .map(entry => ({ ...loader.postFromFeedEntry(entry), source })));
+}
+
+/**
+ * Load posts from a single feed, or from every source
+ */
+async function loadPosts(loader, feedSource) {
+    const posts = feedSource ? await loadFeedPosts(loader, feedSource) : await loader.fetchPosts();
+    if (posts.length === 0) throw new Error('No source produced any posts');
+
+    loader.sources.forEach(source => {
+        const count = posts.filter(post => post.source === source.id).length;
+        if (count > 0) console.log(`Read ${count} posts from ${source.label}`);
+    });
+    return posts;
+}
+
+/**
+ * Keep only the fields the pages need
+ */
+function toIndexEntry(loader, post) {
+    return {
+        title: post.title,
+        url: post.url,
+        source: post.source,
+        date: post.date,
+        excerpt: post.excerpt,
+        category: post.category,
+        categories: post.categories || [],
+        tags: post.tags || [],
+        authors: loader.toAuthorList(post.authors),
+        readTime: post.readTime,
+        wordCount: post.wordCount || 0,
+        figureCount: post.figureCount || 0,
+        coverImage: post.coverImage || null,
+        related: loader.getRelatedPosts(post).map(related => related.url)
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const scheduler = new FetchScheduler();
+    const loader = new BlogLoader({
+        scheduler,
+        github: new GitHubClient({ scheduler, token: process.env.GITHUB_TOKEN })
+    });
+    const outFile = path.resolve(ROOT, args.out || 'data/posts.json');
+
+    const posts = await loadPosts(loader, args.feed);
+    const enriched = await Promise.all(posts.map(post => loader.enrichPostData(post)));
+
+    // Related posts are computed over the full feed content before it is dropped
+    loader.setPosts(enriched);
+
+    const index = {
+        generatedAt: new Date().toISOString(),
+        sources: args.feed ? [args.feed] : loader.sources.map(source => source.id),
+        posts: loader.posts.map(post => toIndexEntry(loader, post))
+    };
+
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(index, null, 2) + '\n');
+    console.log(`Wrote ${index.posts.length} posts to ${path.relative(ROOT, outFile)}`);
+}
+
+main().catch(error => {
+    console.error('Error building post index:', error);
+    process.exit(1);
+});
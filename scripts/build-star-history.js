@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Build Star History Snapshot
+ * Samples the stargazer timestamps of every repo in data/projects.json and
+ * writes data/star-history.json, which the star sparklines on projects.html
+ * and the growth chart on the homepage read instead of calling the API.
+ *
+ * Usage:
+ *   GITHUB_TOKEN=... node scripts/build-star-history.js [--samples <n>] [--out <file>]
+ *
+ * Without a token only 60 API requests an hour are allowed, which covers
+ * about 10 samples for each of the five projects.
+ *
+ * Requires Node 18+ (global fetch).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+global.GitHubClient = require('../js/github-client.js');
+const ProjectManifest = require('../js/projects.js');
+const GitHubStatsLoader = require('../js/github-stats.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Sample a repository's star history ([{ date, stars }]) from its
+ * stargazer list: the list is oldest first, 100 per page, so the first
+ * stargazer on page n is star number (n - 1) * 100 + 1. GitHub only
+ * serves the first 400 pages.
+ */
+async function sampleStarHistory(github, repoPath, stars, samples) {
+    const lastPage = Math.min(Math.ceil(stars / 100), 400);
+    if (lastPage === 0) return [];
+
+    const count = Math.min(samples, lastPage);
+    const pages = Array.from(new Set(Array.from({ length: count }, (_, i) =>
+        count === 1 ? 1 : 1 + Math.round(i * (lastPage - 1) / (count - 1)))));
+
+    const { results, failed } = await FetchScheduler.settle(pages, async page => {
+        const { data } = await github.get(`/repos/${repoPath}/stargazers?per_page=100&page=${page}`, {
+            accept: 'application/vnd.github.star+json'
+        });
+        const first = Array.isArray(data) ? data[0] : null;
+        return first && first.starred_at ? { date: first.starred_at, stars: (page - 1) * 100 + 1 } : null;
+    });
+    failed.forEach(({ item, error }) => console.warn(`Skipping stargazer page ${item} of ${repoPath}:`, error));
+    if (results.length === 0 && failed.length > 0) throw failed[0].error;
+
+    return results
+        .map(({ value }) => value)
+        .filter(Boolean)
+        .concat([{ date: new Date().toISOString(), stars }])
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const outFile = path.resolve(ROOT, args.out || 'data/star-history.json');
+    const samples = parseInt(args.samples, 10) || (process.env.GITHUB_TOKEN ? 30 : 10);
+
+    const scheduler = new FetchScheduler();
+    const manifest = new ProjectManifest({ scheduler });
+    manifest.projects = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/projects.json'), 'utf8')).projects || [];
+
+    const github = new GitHubClient({ scheduler, token: process.env.GITHUB_TOKEN });
+    const loader = new GitHubStatsLoader({ scheduler, manifest, github });
+
+    const repos = {};
+    for (const repo of manifest.getRepos()) {
+        const stats = await loader.fetchRepoStats(repo);
+        if (!stats) {
+            console.warn(`Skipping ${repo}: repository not found`);
+            continue;
+        }
+
+        const points = await sampleStarHistory(github, repo, stats.stars, samples);
+        console.log(`Sampled ${points.length} points for ${repo} (${stats.stars} stars)`);
+        if (points.length > 0) repos[repo] = points;
+    }
+
+    const snapshot = { generatedAt: new Date().toISOString(), repos };
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(snapshot, null, 2) + '\n');
+    console.log(`Wrote star history of ${Object.keys(repos).length} repos to ${path.relative(ROOT, outFile)}`);
+}
+
+main().catch(error => {
+    console.error('Error building star history:', error);
+    process.exit(1);
+});
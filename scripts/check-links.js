@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+/**
+ * Check Links
+ * Checks every GitHub, Hugging Face and documentation link on the site's
+ * pages (and the repo and docs links in data/projects.json) and lists the
+ * dead ones with their HTTP status and the pages they're on. Links that
+ * didn't answer (network errors, timeouts) are listed apart and don't count
+ * as dead. Exits with 1 when any link is dead, so it can run in CI.
+ *
+ * Usage:
+ *   GITHUB_TOKEN=... node scripts/check-links.js [--out <file>]
+ *
+ * --out also writes the report as JSON. Markup inside HTML comments isn't
+ * checked. Requires Node 18+ (global fetch).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+global.GitHubClient = require('../js/github-client.js');
+const LinkHealthChecker = require('../js/link-health.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Parse --key value pairs from the command line
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+}
+
+/**
+ * Read the site URL from CNAME (e.g. mlc.ai -> https://mlc.ai/)
+ */
+function readSiteUrl() {
+    try {
+        const domain = fs.readFileSync(path.join(ROOT, 'CNAME'), 'utf8').trim();
+        if (domain) return `https://${domain}/`;
+    } catch (e) {
+        // No CNAME; fall through
+    }
+    return 'https://mlc.ai/';
+}
+
+/**
+ * Decode the entities that show up in href attributes
+ */
+function decodeHref(href) {
+    return href
+        .replace(/&amp;/g, '&')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'');
+}
+
+/**
+ * Links of a page's <a> tags, leaving out commented-out markup
+ */
+function extractLinks(html) {
+    const markup = html.replace(/<!--[\s\S]*?-->/g, '');
+    const links = [];
+    const anchor = /<a\b[^>]*?\bhref\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+    let match;
+    while ((match = anchor.exec(markup)) !== null) {
+        links.push(decodeHref(match[1] !== undefined ? match[1] : match[2]));
+    }
+    return links;
+}
+
+/**
+ * Links from the project manifest; they show up on projects.html
+ */
+function extractManifestLinks(manifest) {
+    return (manifest.projects || []).flatMap(project => [
+        project.repo ? `https://github.com/${project.repo}` : null,
+        project.docs && project.docs.url
+    ]).filter(Boolean);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const siteUrl = readSiteUrl();
+
+    const scheduler = new FetchScheduler();
+    const checker = new LinkHealthChecker({
+        scheduler,
+        github: new GitHubClient({ scheduler, token: process.env.GITHUB_TOKEN }),
+        cache: null,
+        origin: new URL(siteUrl).origin
+    });
+
+    // Pages each link appears on
+    const sources = new Map();
+    const addLink = (url, page) => {
+        if (!checker.classifyLink(url)) return;
+        const absolute = new URL(url).href;
+        if (!sources.has(absolute)) sources.set(absolute, new Set());
+        sources.get(absolute).add(page);
+    };
+
+    const pages = fs.readdirSync(ROOT).filter(file => file.endsWith('.html'))
+        .concat(fs.readdirSync(path.join(ROOT, 'partials')).filter(file => file.endsWith('.html')).map(file => `partials/${file}`));
+    pages.forEach(page => {
+        extractLinks(fs.readFileSync(path.join(ROOT, page), 'utf8')).forEach(url => addLink(url, page));
+    });
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'data/projects.json'), 'utf8'));
+    extractManifestLinks(manifest).forEach(url => addLink(url, 'projects.html (data/projects.json)'));
+
+    console.log(`Checking ${sources.size} links on ${pages.length} pages...`);
+    const results = await checker.checkLinks(Array.from(sources.keys()));
+
+    // One entry per URL, with every page it appears on
+    const toEntry = result => ({
+        url: result.url,
+        kind: result.kind,
+        status: result.status !== null ? result.status : result.error || 'unreachable',
+        pages: Array.from(sources.get(result.url)).sort()
+    });
+    const byUrl = (a, b) => a.url.localeCompare(b.url);
+
+    // Links GitHub's rate limit kept us from checking aren't known to be dead,
+    // and neither are links that didn't answer
+    const skipped = results.filter(result => result.error === 'rate limited');
+    const unreachable = results.filter(result => result.ok === null && !skipped.includes(result)).map(toEntry).sort(byUrl);
+    const dead = results.filter(result => result.ok === false).map(toEntry).sort(byUrl);
+
+    dead.forEach(link => console.log(`${link.status}\t${link.url}\t${link.pages.join(', ')}`));
+    if (unreachable.length > 0) {
+        console.warn(`Couldn't reach ${unreachable.length} ${unreachable.length === 1 ? 'link' : 'links'} (not counted as dead):`);
+        unreachable.forEach(link => console.warn(`${link.status}\t${link.url}\t${link.pages.join(', ')}`));
+    }
+    if (skipped.length > 0) {
+        console.warn(`Skipped ${skipped.length} GitHub links: rate limited (set GITHUB_TOKEN for a higher limit)`);
+    }
+    console.log(`${dead.length} dead ${dead.length === 1 ? 'link' : 'links'} of ${results.length} checked`);
+
+    if (args.out) {
+        const outFile = path.resolve(ROOT, args.out);
+        const report = {
+            checkedAt: new Date().toISOString(),
+            checked: results.length,
+            skipped: skipped.map(result => result.url),
+            unreachable,
+            dead
+        };
+        fs.writeFileSync(outFile, JSON.stringify(report, null, 2) + '\n');
+        console.log(`Wrote link report to ${path.relative(ROOT, outFile)}`);
+    }
+
+    if (dead.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('Error checking links:', error);
+    process.exit(1);
+});
@@ -0,0 +1,42 @@
+/**
+ * BlogSearchIndex: ranking, highlighting and related posts
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+const BlogSearchIndex = require('../js/blog-search.js');
+
+const POSTS = [
+    { url: 'https://blog.mlc.ai/webgpu', title: 'WebGPU inference in the browser', excerpt: 'Running LLMs with WebGPU in the browser.', tags: ['webllm'] },
+    { url: 'https://blog.mlc.ai/webgpu-perf', title: 'Faster WebGPU kernels', excerpt: 'WebGPU kernels for browser inference.', tags: ['webllm'] },
+    { url: 'https://blog.mlc.ai/grammar', title: 'Structured generation with grammars', excerpt: 'JSON schema constrained decoding.', tags: ['xgrammar'] }
+];
+
+test('ranks title matches first', () => {
+    const index = new BlogSearchIndex(POSTS);
+    const results = index.search('grammars');
+    assert.strictEqual(results[0].post.url, 'https://blog.mlc.ai/grammar');
+});
+
+test('finds similar posts for a copy of an indexed post', () => {
+    const index = new BlogSearchIndex(POSTS);
+
+    // Loaders replace posts with enriched copies after building the index
+    const enriched = { ...POSTS[0], readTime: '3 min read' };
+    const related = index.similar(enriched);
+    assert.strictEqual(related[0].post.url, 'https://blog.mlc.ai/webgpu-perf');
+    assert.ok(related.every(result => result.post.url !== enriched.url));
+});
+
+test('finds no similar posts for a post that is not indexed', () => {
+    const index = new BlogSearchIndex(POSTS);
+    assert.deepStrictEqual(index.similar({ url: 'https://blog.mlc.ai/other', title: 'WebGPU' }), []);
+});
+
+test('escapes highlighted text', () => {
+    const index = new BlogSearchIndex(POSTS);
+    const html = String(index.highlight('<b>WebGPU</b> & more', [index.normalizeTerm('webgpu')]));
+    assert.strictEqual(html, '&lt;b&gt;<mark>WebGPU</mark>&lt;/b&gt; &amp; more');
+});
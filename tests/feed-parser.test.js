@@ -0,0 +1,105 @@
+/**
+ * FeedParser: Atom and RSS 2.0 fixtures in tests/fixtures/feeds
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const FeedParser = require('../js/feed-parser.js');
+
+function parseFixture(name, baseUrl = '') {
+    const xml = fs.readFileSync(path.join(__dirname, 'fixtures/feeds', name), 'utf8');
+    return new FeedParser().parse(xml, baseUrl);
+}
+
+test('parses an Atom feed', () => {
+    const feed = parseFixture('atom.xml', 'https://blog.mlc.ai/feed.xml');
+    assert.strictEqual(feed.format, 'atom');
+    assert.strictEqual(feed.title, 'MLC Blog');
+    assert.strictEqual(feed.link, 'https://blog.mlc.ai/');
+
+    assert.deepStrictEqual(feed.entries[0], {
+        id: 'https://blog.mlc.ai/2024/06/13/webllm',
+        title: 'WebLLM: A High-Performance In-Browser LLM Inference Engine',
+        url: 'https://blog.mlc.ai/2024/06/13/webllm-a-high-performance-in-browser-llm-inference-engine',
+        date: '2024-06-13',
+        rawDate: '2024-06-13T00:00:00-07:00',
+        summary: 'A high-performance in-browser engine.',
+        content: '<p>We are excited to share <strong>WebLLM</strong>.</p>',
+        image: { url: 'https://blog.mlc.ai/img/webllm/cover.png', width: 1200, height: 630 },
+        authors: [
+            { name: 'MLC Community', uri: 'https://mlc.ai', email: '' },
+            { name: 'Charlie Ruan', uri: '', email: '' }
+        ],
+        categories: ['webllm', 'release']
+    });
+});
+
+test('falls back to <updated> for Atom entries without <published>', () => {
+    const entry = parseFixture('atom.xml').entries[1];
+    assert.strictEqual(entry.date, '2024-05-02');
+    assert.strictEqual(entry.rawDate, '2024-05-02T23:30:00Z');
+    assert.strictEqual(entry.image, null);
+    assert.deepStrictEqual(entry.authors, []);
+});
+
+test('parses an RSS 2.0 feed', () => {
+    const feed = parseFixture('rss.xml', 'https://tvm.apache.org/rss.xml');
+    assert.strictEqual(feed.format, 'rss');
+    assert.strictEqual(feed.title, 'Apache TVM Blog');
+    assert.strictEqual(feed.link, 'https://tvm.apache.org/');
+
+    assert.deepStrictEqual(feed.entries[0], {
+        id: 'tvm-unity-roadmap',
+        title: 'TVM Unity Roadmap',
+        url: 'https://tvm.apache.org/2023/10/01/unity-roadmap',
+        date: '2023-10-01',
+        rawDate: 'Sun, 01 Oct 2023 23:30:00 -0700',
+        summary: 'Where TVM Unity is heading.',
+        content: '',
+        image: { url: 'https://tvm.apache.org/images/unity.png', width: null, height: null },
+        authors: [{ name: 'Tianqi Chen', uri: '', email: 'tqchen@apache.org' }],
+        categories: ['compiler', 'roadmap']
+    });
+});
+
+test('uses the guid as link and dc: fields for RSS items', () => {
+    const entry = parseFixture('rss.xml').entries[1];
+    assert.strictEqual(entry.url, 'https://tvm.apache.org/2023/09/15/second-post');
+    assert.strictEqual(entry.date, '2023-09-15');
+    assert.deepStrictEqual(entry.authors, [{ name: 'TVM Community', uri: '', email: '' }]);
+});
+
+test('reads CDATA sections as raw text', () => {
+    const entry = parseFixture('cdata.xml').entries[0];
+    assert.strictEqual(entry.title, 'Faster decode with paged KV cache & more');
+    assert.strictEqual(entry.summary, 'Decoding is 2x faster.');
+    assert.strictEqual(entry.content, '<p>Full <em>post</em> with a <a href="/docs">link</a>.</p>');
+    assert.strictEqual(entry.date, '2024-03-03');
+});
+
+test('decodes named and numeric entities', () => {
+    const feed = parseFixture('entities.xml');
+    assert.strictEqual(feed.title, 'Q&A – MLC');
+    assert.strictEqual(feed.link, 'https://blog.mlc.ai/?a=1&b=2');
+
+    const entry = feed.entries[0];
+    assert.strictEqual(entry.title, 'Tom & Jerry <3 "LLMs" \'everywhere\' \u{1F680} café time');
+    assert.strictEqual(entry.url, 'https://blog.mlc.ai/2024/01/02/q-and-a?x=1&y=2');
+    assert.strictEqual(entry.summary, 'Unknown &bogus; entities stay as they are.');
+});
+
+test('leaves dates null when they are missing or unparseable', () => {
+    const entries = parseFixture('missing-dates.xml').entries;
+    assert.deepStrictEqual(entries.map(entry => [entry.title, entry.date, entry.rawDate]), [
+        ['No date at all', null, ''],
+        ['Unparseable date', null, 'sometime last week'],
+        ['Empty date', null, '']
+    ]);
+});
+
+test('rejects documents that are not feeds', () => {
+    assert.throws(() => new FeedParser().parse('<html><body>Not a feed</body></html>'), /Unrecognized feed format/);
+});
@@ -0,0 +1,135 @@
+/**
+ * FrontMatterParser: the YAML subset used in blog post front matter, and
+ * dates that keep the calendar day they were written with
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const FrontMatterParser = require('../js/front-matter.js');
+
+const parser = new FrontMatterParser();
+
+const POST = `---
+layout: post
+title:  "WebLLM: A High-Performance In-Browser LLM Inference Engine"
+date:   2024-06-13 00:00:00 -0400
+author:   WebLLM Team
+notitle: true
+---
+
+We are excited to share WebLLM.
+`;
+
+test('parses a post header and keeps the body', () => {
+    const { frontMatter, body } = parser.parse(POST);
+
+    assert.deepStrictEqual(Object.keys(frontMatter), ['layout', 'title', 'date', 'author', 'notitle']);
+    assert.strictEqual(frontMatter.layout, 'post');
+    assert.strictEqual(frontMatter.title, 'WebLLM: A High-Performance In-Browser LLM Inference Engine');
+    assert.strictEqual(frontMatter.author, 'WebLLM Team');
+    assert.strictEqual(frontMatter.notitle, true);
+    assert.strictEqual(body, '\nWe are excited to share WebLLM.\n');
+});
+
+test('returns the whole content as the body without front matter', () => {
+    assert.deepStrictEqual(parser.parse('# Title\n\nText'), { frontMatter: {}, body: '# Title\n\nText' });
+    assert.deepStrictEqual(parser.parse('\uFEFF---\r\ntitle: x\r\n---\r\nText').frontMatter, { title: 'x' });
+});
+
+test('parses block and flow lists', () => {
+    const { frontMatter } = parser.parse(`---
+categories: [Release, "WebLLM"]
+tags:
+- webgpu
+- 'in-browser'
+authors:
+  - name: Charlie Ruan
+    url: https://github.com/CharlieFRuan
+  - name: Tianqi Chen
+related: [{title: MLC LLM, url: "https://llm.mlc.ai"}]
+---
+`);
+
+    assert.deepStrictEqual(frontMatter.categories, ['Release', 'WebLLM']);
+    assert.deepStrictEqual(frontMatter.tags, ['webgpu', 'in-browser']);
+    assert.deepStrictEqual(frontMatter.authors, [
+        { name: 'Charlie Ruan', url: 'https://github.com/CharlieFRuan' },
+        { name: 'Tianqi Chen' }
+    ]);
+    assert.deepStrictEqual(frontMatter.related, [{ title: 'MLC LLM', url: 'https://llm.mlc.ai' }]);
+});
+
+test('parses quoted strings', () => {
+    const { frontMatter } = parser.parse(`---
+title: "Bringing \\"Hermes\\" to\\tMLC"
+subtitle: 'It''s fast: really'
+number: "42"
+url: https://mlc.ai/#top
+---
+`);
+
+    assert.strictEqual(frontMatter.title, 'Bringing "Hermes" to\tMLC');
+    assert.strictEqual(frontMatter.subtitle, "It's fast: really");
+    assert.strictEqual(frontMatter.number, '42');
+    assert.strictEqual(frontMatter.url, 'https://mlc.ai/#top');
+});
+
+test('parses literal and folded block scalars', () => {
+    const { frontMatter } = parser.parse(`---
+excerpt: >
+  WebLLM runs LLMs
+  in the browser.
+
+  No server needed.
+code: |
+  pip install mlc-llm
+  mlc_llm chat
+stripped: |-
+  one line
+title: After
+---
+`);
+
+    assert.strictEqual(frontMatter.excerpt, 'WebLLM runs LLMs in the browser.\nNo server needed.\n');
+    assert.strictEqual(frontMatter.code, 'pip install mlc-llm\nmlc_llm chat\n');
+    assert.strictEqual(frontMatter.stripped, 'one line');
+    assert.strictEqual(frontMatter.title, 'After');
+});
+
+test('parses nested mappings and skips comments', () => {
+    const { frontMatter } = parser.parse(`---
+# Post settings
+image:
+  path: /img/webllm/cover.png  # shown on the card
+  alt: "WebLLM # architecture"
+  size:
+    width: 1200
+    height: 630
+comments: false
+---
+`);
+
+    assert.deepStrictEqual(frontMatter.image, {
+        path: '/img/webllm/cover.png',
+        alt: 'WebLLM # architecture',
+        size: { width: 1200, height: 630 }
+    });
+    assert.strictEqual(frontMatter.comments, false);
+});
+
+test('keeps the written calendar day of dates', () => {
+    const { frontMatter } = parser.parse(`---
+date: 2024-06-07 01:00:00 +0800
+late: 2024-06-07T23:30:00-07:00
+updated: 2024-06-07
+plain: 2024-06-07 is the day
+---
+`);
+
+    assert.ok(frontMatter.date instanceof Date);
+    assert.strictEqual(frontMatter.date.toISOString().slice(0, 10), '2024-06-07');
+    assert.strictEqual(frontMatter.late.toISOString().slice(0, 10), '2024-06-07');
+    assert.strictEqual(frontMatter.updated.toISOString(), '2024-06-07T00:00:00.000Z');
+    assert.strictEqual(frontMatter.plain, '2024-06-07 is the day');
+});
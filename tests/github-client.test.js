@@ -0,0 +1,83 @@
+/**
+ * GitHubClient: responses are cached per path and media type
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+const GitHubClient = require('../js/github-client.js');
+
+/**
+ * In-memory stand-in for MLCCache
+ */
+function createCache() {
+    const entries = new Map();
+    return {
+        get: key => entries.get(key) || null,
+        set: (key, value) => {
+            const entry = { value, storedAt: Date.now() };
+            entries.set(key, entry);
+            return entry;
+        }
+    };
+}
+
+/**
+ * Scheduler answering with the body for the request's Accept header; once
+ * the quota is used up it answers 403
+ */
+function createScheduler(bodies, remaining) {
+    const requests = [];
+    return {
+        requests,
+        fetch: async (url, { headers }) => {
+            requests.push({ url, accept: headers.Accept });
+            const left = Math.max(remaining - requests.length, 0);
+            const responseHeaders = new Map([
+                ['x-ratelimit-remaining', String(left)],
+                ['x-ratelimit-reset', String(Math.floor(Date.now() / 1000) + 3600)],
+                ['etag', `"${headers.Accept}"`]
+            ]);
+            const ok = requests.length <= remaining;
+            return {
+                ok,
+                status: ok ? 200 : 403,
+                headers: { get: name => responseHeaders.get(name.toLowerCase()) || null },
+                json: async () => bodies[headers.Accept]
+            };
+        }
+    };
+}
+
+test('caches responses of different media types apart', async () => {
+    const starJson = 'application/vnd.github.star+json';
+    const path = '/repos/mlc-ai/mlc-llm/stargazers?per_page=100&page=1';
+    const bodies = {
+        'application/vnd.github+json': [{ login: 'a' }],
+        [starJson]: [{ starred_at: '2023-05-01T00:00:00Z', user: { login: 'a' } }]
+    };
+    const cache = createCache();
+    const scheduler = createScheduler(bodies, 2);
+    const github = new GitHubClient({ scheduler, cache, reserve: 0 });
+
+    await github.get(path);
+    await github.get(path, { accept: starJson });
+    assert.deepStrictEqual(scheduler.requests.map(request => request.accept), ['application/vnd.github+json', starJson]);
+
+    // Rate limited now: each media type gets its own cached body back
+    const plain = await github.get(path);
+    const starred = await github.get(path, { accept: starJson });
+    assert.ok(plain.rateLimited && starred.rateLimited);
+    assert.deepStrictEqual(plain.data, bodies['application/vnd.github+json']);
+    assert.deepStrictEqual(starred.data, bodies[starJson]);
+});
+
+test('shares one request between concurrent gets of the same path and media type', async () => {
+    const scheduler = createScheduler({ 'application/vnd.github+json': { full_name: 'mlc-ai/mlc-llm' } }, 10);
+    const github = new GitHubClient({ scheduler });
+
+    const [a, b] = await Promise.all([github.get('/repos/mlc-ai/mlc-llm'), github.get('/repos/mlc-ai/mlc-llm')]);
+    assert.strictEqual(scheduler.requests.length, 1);
+    assert.deepStrictEqual(a.data, b.data);
+});
@@ -0,0 +1,182 @@
+/**
+ * LinkHealthChecker: which links are checked and how, caching of answered
+ * checks, and marking cards with dead links
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FetchScheduler = require('../js/fetch-scheduler.js');
+global.GitHubClient = require('../js/github-client.js');
+const LinkHealthChecker = require('../js/link-health.js');
+
+/**
+ * In-memory stand-in for MLCCache
+ */
+function createCache() {
+    const entries = new Map();
+    return {
+        get: key => entries.get(key) || null,
+        set: (key, value) => {
+            const entry = { value, storedAt: Date.now() };
+            entries.set(key, entry);
+            return entry;
+        }
+    };
+}
+
+const checker = new LinkHealthChecker({ cache: null });
+
+test('looks up GitHub repos and users through the API', () => {
+    assert.deepStrictEqual(checker.classifyLink('https://github.com/mlc-ai/mlc-llm'), { kind: 'github', api: '/repos/mlc-ai/mlc-llm' });
+    assert.deepStrictEqual(checker.classifyLink('https://github.com/mlc-ai/mlc-llm/tree/main/docs'), { kind: 'github', api: '/repos/mlc-ai/mlc-llm' });
+    assert.deepStrictEqual(checker.classifyLink('https://github.com/mlc-ai/web-llm.git'), { kind: 'github', api: '/repos/mlc-ai/web-llm' });
+    assert.deepStrictEqual(checker.classifyLink('https://www.github.com/tqchen'), { kind: 'github', api: '/users/tqchen' });
+});
+
+test('probes reserved GitHub pages like any other page', () => {
+    ['https://github.com/orgs/mlc-ai/repositories', 'https://github.com/topics/llm', 'https://github.com/'].forEach(href => {
+        assert.deepStrictEqual(checker.classifyLink(href), { kind: 'docs', api: null }, href);
+    });
+});
+
+test('looks up Hugging Face models, datasets, spaces and orgs through the API', () => {
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/mlc-ai/Llama-3-8B-Instruct-q4f16_1-MLC'), {
+        kind: 'huggingface', api: 'https://huggingface.co/api/models/mlc-ai/Llama-3-8B-Instruct-q4f16_1-MLC'
+    });
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/datasets/mlc-ai/evals'), {
+        kind: 'huggingface', api: 'https://huggingface.co/api/datasets/mlc-ai/evals'
+    });
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/spaces/mlc-ai/webllm-demo'), {
+        kind: 'huggingface', api: 'https://huggingface.co/api/spaces/mlc-ai/webllm-demo'
+    });
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/mlc-ai'), {
+        kind: 'huggingface', api: 'https://huggingface.co/api/organizations/mlc-ai/overview'
+    });
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/datasets'), { kind: 'docs', api: null });
+    assert.deepStrictEqual(checker.classifyLink('https://huggingface.co/docs/transformers'), { kind: 'docs', api: null });
+});
+
+test('skips relative and non-HTTP links', () => {
+    ['blog.html', '/projects.html#webllm', '#top', 'mailto:contact@mlc.ai', 'javascript:void(0)', '', null].forEach(href => {
+        assert.strictEqual(checker.classifyLink(href), null, String(href));
+    });
+    assert.deepStrictEqual(checker.classifyLink('https://llm.mlc.ai/docs'), { kind: 'docs', api: null });
+});
+
+test('caches answered checks but retries unanswered ones', async () => {
+    const cache = createCache();
+    const requests = [];
+    const github = {
+        get: async api => {
+            requests.push(api);
+            if (api === '/repos/mlc-ai/gone') return { status: 404 };
+            if (api === '/repos/mlc-ai/limited') throw new GitHubClient.RateLimitError(Date.now());
+            return { status: 200 };
+        }
+    };
+    const urls = ['https://github.com/mlc-ai/mlc-llm', 'https://github.com/mlc-ai/gone', 'https://github.com/mlc-ai/limited'];
+
+    const first = new LinkHealthChecker({ cache, github });
+    const results = await first.checkLinks([...urls, urls[0]]);
+    assert.deepStrictEqual(results.map(result => [result.url, result.ok, result.status]), [
+        [urls[0], true, 200],
+        [urls[1], false, 404],
+        [urls[2], null, null]
+    ]);
+    assert.strictEqual(results[2].error, 'rate limited');
+    assert.deepStrictEqual(Object.keys(cache.get('link-health').value), urls.slice(0, 2));
+
+    requests.length = 0;
+    const second = new LinkHealthChecker({ cache, github });
+    await second.checkLinks(urls);
+    assert.deepStrictEqual(requests, ['/repos/mlc-ai/limited']);
+    assert.strictEqual(second.results.get(urls[1]).ok, false);
+});
+
+/**
+ * An element with just what markCard() touches
+ */
+function fakeElement(fields = {}) {
+    const classes = new Set(fields.className ? fields.className.split(' ') : []);
+    return {
+        children: [],
+        title: '',
+        classes,
+        classList: { toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)) },
+        prepend(child) {
+            this.children.unshift(child);
+        },
+        ...fields
+    };
+}
+
+function fakeLink(href, { inStats = false } = {}) {
+    return fakeElement({
+        href,
+        getAttribute: () => href,
+        closest: selector => (inStats && selector === '.repo-stats' ? {} : null)
+    });
+}
+
+function fakeCard(links) {
+    return fakeElement({
+        querySelector: () => null,
+        querySelectorAll: () => links
+    });
+}
+
+function markCard(checker, card) {
+    global.document = {
+        createElement: () => fakeElement()
+    };
+    try {
+        checker.markCard(card);
+    } finally {
+        delete global.document;
+    }
+}
+
+test('flags a card whose repository is gone and marks the dead link', () => {
+    const marker = new LinkHealthChecker({ cache: null });
+    marker.results.set('https://github.com/mlc-ai/gone', { kind: 'github', ok: false, status: 404 });
+    marker.results.set('https://llm.mlc.ai/docs', { kind: 'docs', ok: true, status: 200 });
+
+    const repoLink = fakeLink('https://github.com/mlc-ai/gone');
+    const docsLink = fakeLink('https://llm.mlc.ai/docs');
+    // The release link in the live stats is not the card's own link
+    const statsLink = fakeLink('https://github.com/mlc-ai/gone/releases/tag/v1', { inStats: true });
+    const card = fakeCard([repoLink, docsLink, statsLink]);
+    markCard(marker, card);
+
+    assert.ok(card.classes.has('is-unavailable'));
+    assert.ok(repoLink.classes.has('is-broken'));
+    assert.strictEqual(repoLink.title, 'This link is unavailable (HTTP 404)');
+    assert.ok(!docsLink.classes.has('is-broken'));
+    assert.ok(!statsLink.classes.has('is-broken'));
+    assert.strictEqual(card.children.length, 1);
+    assert.strictEqual(card.children[0].className, 'link-health-flag');
+    assert.match(card.children[0].innerHTML, /Repository unavailable/);
+});
+
+test('counts dead docs links and leaves unanswered links alone', () => {
+    const marker = new LinkHealthChecker({ cache: null });
+    marker.results.set('https://llm.mlc.ai/docs', { kind: 'docs', ok: false, status: 410 });
+    marker.results.set('https://mlc.ai/web-llm', { kind: 'docs', ok: false, status: 404 });
+    marker.results.set('https://github.com/mlc-ai/limited', { kind: 'github', ok: null, status: null });
+
+    const card = fakeCard([fakeLink('https://llm.mlc.ai/docs'), fakeLink('https://mlc.ai/web-llm')]);
+    markCard(marker, card);
+    assert.match(card.children[0].innerHTML, /2 links unavailable/);
+
+    const unanswered = fakeCard([fakeLink('https://github.com/mlc-ai/limited')]);
+    markCard(marker, unanswered);
+    assert.ok(!unanswered.classes.has('is-unavailable'));
+    assert.strictEqual(unanswered.children.length, 0);
+
+    // A card with no results yet stays unmarked
+    const unchecked = fakeCard([fakeLink('https://llm.mlc.ai/docs')]);
+    markCard(new LinkHealthChecker({ cache: null }), unchecked);
+    assert.ok(!unchecked.classes.has('is-unavailable'));
+});
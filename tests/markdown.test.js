@@ -0,0 +1,107 @@
+/**
+ * MarkdownRenderer: raw HTML is escaped by default and sanitized with
+ * allowHtml, and link URLs are checked
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FeedParser = require('../js/feed-parser.js');
+const MarkdownRenderer = require('../js/markdown.js');
+
+const BASE_URL = 'https://blog.mlc.ai/2024/06/07/post.html';
+
+function render(markdown, options = {}) {
+    return String(new MarkdownRenderer({ baseUrl: BASE_URL, ...options }).render(markdown).html);
+}
+
+const PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<<x>img src=x onerror=alert(1)>',
+    '<a href=javascript:alert(1)>x</a>',
+    '<div onclick="alert(1)">x</div>',
+    '<svg onload=alert(1)>',
+    '<iframe src="https://example.com"></iframe>'
+];
+
+/**
+ * Tags and attributes that would run script once inserted
+ */
+function assertInert(html, payload) {
+    assert.doesNotMatch(html, /<(script|svg|iframe)\b/i, payload);
+    assert.doesNotMatch(html, /<[^>]*\son\w+\s*=/i, payload);
+    assert.doesNotMatch(html, /<[^>]*(href|src)\s*=\s*["']?\s*javascript:/i, payload);
+}
+
+test('returns an HtmlTemplate value', () => {
+    const { html, headings } = new MarkdownRenderer().render('## A & B');
+    assert.ok(html instanceof HtmlTemplate.SafeHtml);
+    assert.strictEqual(String(HtmlTemplate.html`<div>${headings[0].text}</div>`), '<div>A &amp; B</div>');
+});
+
+test('escapes raw HTML by default', () => {
+    PAYLOADS.forEach(payload => {
+        const html = render(`${payload}\n\ntext ${payload}`);
+        assertInert(html, payload);
+        assert.match(html, /&lt;/, payload);
+    });
+    assert.strictEqual(render('<b>bold</b>'), '<p>&lt;b&gt;bold&lt;/b&gt;</p>');
+});
+
+test('sanitizes raw HTML with allowHtml', () => {
+    PAYLOADS.forEach(payload => {
+        assertInert(render(`${payload}\n\ntext ${payload}`, { allowHtml: true }), payload);
+        assertInert(render(`<div>\n${payload}\n</div>`, { allowHtml: true }), payload);
+    });
+});
+
+test('drops scripts and styles with their content', () => {
+    assert.strictEqual(render('<script>alert(1)</script>\n\nok', { allowHtml: true }), '\n<p>ok</p>');
+    assert.doesNotMatch(render('<div><style>body{}</style>x</div>', { allowHtml: true }), /body\{\}/);
+});
+
+test('keeps allowlisted tags and attributes', () => {
+    const html = render('<figure class="wide"><img src="fig.png" alt="A figure" onerror="x()"><figcaption>Fig. 1</figcaption></figure>', { allowHtml: true });
+    assert.strictEqual(html, '<figure class="wide"><img src="https://blog.mlc.ai/2024/06/07/fig.png" alt="A figure"><figcaption>Fig. 1</figcaption></figure>');
+
+    assert.strictEqual(
+        render('a <a href="https://mlc.ai" target="_blank">link</a> and <sup>2</sup>', { allowHtml: true }),
+        '<p>a <a href="https://mlc.ai/" target="_blank" rel="noopener">link</a> and <sup>2</sup></p>'
+    );
+});
+
+test('checks entity-encoded and unquoted URLs in raw HTML', () => {
+    [
+        '<a href="&#106;avascript:alert(1)">x</a>',
+        '<a href="java&#x09;script:alert(1)">x</a>',
+        '<a href=javascript:alert(1)>x</a>',
+        '<img src=\'javascript:alert(1)\'>'
+    ].forEach(payload => {
+        const html = render(payload, { allowHtml: true });
+        assert.match(html, /(href|src)="#"/, payload);
+    });
+});
+
+test('replaces unsafe link and image URLs', () => {
+    assert.strictEqual(render('[a](javascript:alert(1))'), '<p><a href="#">a</a></p>');
+    assert.strictEqual(render('[a](<javascript:alert(1)>)'), '<p><a href="#">a</a></p>');
+    assert.match(render('![a](javascript:alert(1))'), /<img src="#"/);
+});
+
+test('parses link destinations with parentheses and angle brackets', () => {
+    assert.strictEqual(
+        render('[wiki](https://en.wikipedia.org/wiki/Rust_(programming_language)) after'),
+        '<p><a href="https://en.wikipedia.org/wiki/Rust_(programming_language)" target="_blank" rel="noopener">wiki</a> after</p>'
+    );
+    assert.strictEqual(
+        render('[doc](<my doc.html> "Title")'),
+        '<p><a href="https://blog.mlc.ai/2024/06/07/my%20doc.html" title="Title" target="_blank" rel="noopener">doc</a></p>'
+    );
+});
+
+test('escapes link labels and titles', () => {
+    const html = render('[<img src=x onerror=alert(1)>](https://mlc.ai "a\\" onmouseover=\\"x")');
+    assertInert(html, 'label');
+});
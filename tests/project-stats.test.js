@@ -0,0 +1,140 @@
+/**
+ * Project stats: showcases and additional project cards get their repo's
+ * live stats, whether or not the repo counts toward the homepage totals
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+const ProjectManifest = require('../js/projects.js');
+const GitHubStatsLoader = require('../js/github-stats.js');
+
+const manifest = new ProjectManifest({ scheduler: {} });
+manifest.projects = [
+    { id: 'mlc-llm', name: 'MLC LLM', repo: 'mlc-ai/mlc-llm', countInTotals: true },
+    {
+        id: 'mlc-llm-benchmarks',
+        name: 'Benchmark Suite',
+        layout: 'card',
+        repo: 'mlc-ai/mlc-llm-benchmarks',
+        summary: 'Benchmarking tools.',
+        badge: { icon: 'fas fa-chart-line' },
+        docs: { label: 'View Benchmarks', url: 'https://github.com/mlc-ai/mlc-llm-benchmarks' },
+        countInTotals: false
+    },
+    { id: 'model-hub', name: 'Model Hub', layout: 'card', docs: { label: 'Browse Models', url: 'https://huggingface.co/mlc-ai' } }
+];
+
+/**
+ * A project element with just what renderProjectStats() touches
+ */
+function fakeProject(repo) {
+    const classes = new Set();
+    const stats = { innerHTML: '', classList: { add: () => {} } };
+    return {
+        dataset: { repo },
+        stats,
+        classes,
+        querySelector: selector => (selector === '.project-stats' ? stats : null),
+        classList: { toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)) }
+    };
+}
+
+test('lists card repos for the project stats but not for the totals', () => {
+    assert.deepStrictEqual(manifest.getRepos({ totalsOnly: true }), ['mlc-ai/mlc-llm']);
+    assert.deepStrictEqual(manifest.getRepos(), ['mlc-ai/mlc-llm', 'mlc-ai/mlc-llm-benchmarks']);
+});
+
+test('renders a card with its repo and docs link', () => {
+    const html = String(manifest.renderCard(manifest.projects[1]));
+    assert.match(html, /<div class="project-card" id="mlc-llm-benchmarks" data-repo="mlc-ai\/mlc-llm-benchmarks">/);
+    assert.match(html, /<i class="fas fa-chart-line"><\/i>/);
+    assert.match(html, /<a href="https:\/\/github.com\/mlc-ai\/mlc-llm-benchmarks" class="project-link"[^>]*>\s*View Benchmarks/);
+
+    const hub = String(manifest.renderCard(manifest.projects[2]));
+    assert.match(hub, /data-repo=""/);
+    assert.match(hub, /<a href="https:\/\/huggingface.co\/mlc-ai" class="project-link"[^>]*>\s*Browse Models/);
+});
+
+test('fills a card whose repo is not in the totals with stars, forks and issues', () => {
+    const card = fakeProject('mlc-ai/mlc-llm-benchmarks');
+    const hub = fakeProject('');
+    let selector = '';
+    global.document = {
+        querySelectorAll: value => {
+            selector = value;
+            return [card, hub];
+        }
+    };
+
+    try {
+        const loader = new GitHubStatsLoader({ manifest });
+        loader.renderProjectStats({
+            repos: {
+                'mlc-ai/mlc-llm-benchmarks': {
+                    stars: 1234,
+                    forks: 56,
+                    openIssues: 7,
+                    archived: true,
+                    latestRelease: { tag: 'v0.2.0', url: 'https://github.com/mlc-ai/mlc-llm-benchmarks/releases/tag/v0.2.0' }
+                }
+            }
+        });
+    } finally {
+        delete global.document;
+    }
+
+    assert.match(selector, /\.project-card\[data-repo\]/);
+    assert.match(card.stats.innerHTML, /title="1,234 stars"/);
+    assert.match(card.stats.innerHTML, /title="56 forks"/);
+    assert.match(card.stats.innerHTML, /7 open/);
+    assert.match(card.stats.innerHTML, /v0\.2\.0/);
+    assert.match(card.stats.innerHTML, /Archived/);
+    assert.ok(card.classes.has('is-archived'));
+    assert.strictEqual(hub.stats.innerHTML, '');
+});
+
+test('adds a stats block above a card link with its stale flag and latest release', () => {
+    const inserted = [];
+    const link = { before: element => inserted.push(element) };
+    const classes = new Set();
+    const card = {
+        dataset: { repo: 'mlc-ai/mlc-llm-examples' },
+        querySelector: selector => (selector === '.project-actions, .project-link' ? link : null),
+        classList: { toggle: (name, force) => (force ? classes.add(name) : classes.delete(name)) }
+    };
+    global.document = {
+        querySelectorAll: () => [card],
+        createElement: () => {
+            const names = new Set();
+            return { innerHTML: '', names, classList: { add: name => names.add(name) } };
+        }
+    };
+
+    try {
+        const loader = new GitHubStatsLoader({ manifest, staleAfterDays: 30 });
+        loader.renderProjectStats({
+            repos: {
+                'mlc-ai/mlc-llm-examples': {
+                    stars: 10,
+                    forks: 2,
+                    openIssues: 0,
+                    archived: false,
+                    pushedAt: '2020-01-15T00:00:00Z',
+                    latestRelease: { tag: 'v1.0', url: 'https://github.com/mlc-ai/mlc-llm-examples/releases/tag/v1.0' }
+                }
+            }
+        });
+    } finally {
+        delete global.document;
+    }
+
+    assert.strictEqual(inserted.length, 1);
+    assert.strictEqual(inserted[0].className, 'project-stats');
+    assert.ok(inserted[0].names.has('repo-stats'));
+    assert.match(inserted[0].innerHTML, /class="repo-flag stale"/);
+    assert.match(inserted[0].innerHTML, /href="https:\/\/github.com\/mlc-ai\/mlc-llm-examples\/releases\/tag\/v1.0"[^>]*>\s*<i class="fas fa-tag"><\/i>\s*v1.0/);
+    assert.ok(classes.has('is-stale'));
+    assert.ok(!classes.has('is-archived'));
+});
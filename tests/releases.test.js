@@ -0,0 +1,64 @@
+/**
+ * ReleaseFeed: changelog excerpts are rendered with raw HTML escaped
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+global.FeedParser = require('../js/feed-parser.js');
+global.MarkdownRenderer = require('../js/markdown.js');
+const ReleaseFeed = require('../js/releases.js');
+
+const feed = new ReleaseFeed({ github: {}, manifest: {}, cache: {} });
+
+function renderExcerpt(body) {
+    const release = { url: 'https://github.com/mlc-ai/mlc-llm/releases/tag/v0.20.0', changelog: feed.getChangelogExcerpt(body) };
+    return String(HtmlTemplate.html`<div class="release-notes">${feed.renderChangelog(release)}</div>`);
+}
+
+test('escapes raw HTML in release notes', () => {
+    [
+        '<script>alert(1)</script>',
+        '<<x>img src=x onerror=alert(1)>',
+        '* Fix <img src=x onerror=alert(1)> by @a',
+        'Notes <a href="javascript:alert(1)">here</a>',
+        '<scr<script>ipt>alert(1)</script>'
+    ].forEach(body => {
+        const html = renderExcerpt(body);
+        assert.doesNotMatch(html, /<(script|img|a)\b/i, body);
+        assert.doesNotMatch(html, /<[^>]*\son\w+\s*=/i, body);
+    });
+});
+
+test('replaces javascript: links in release notes', () => {
+    assert.strictEqual(
+        renderExcerpt('See [the notes](javascript:alert(1))'),
+        '<div class="release-notes"><p>See <a href="#">the notes</a></p></div>'
+    );
+});
+
+test('leaves out comments, headings, HTML lines and the Full Changelog link', () => {
+    const body = [
+        '<!-- Release notes generated using configuration in .github/release.yml -->',
+        '## What\'s Changed',
+        '* Add Qwen3 support by @a in https://github.com/mlc-ai/mlc-llm/pull/1',
+        '<details>',
+        '<summary>More</summary>',
+        '* Fix KV cache leak by @b',
+        '</details>',
+        '',
+        '**Full Changelog**: https://github.com/mlc-ai/mlc-llm/compare/v0.19.0...v0.20.0'
+    ].join('\r\n');
+
+    assert.deepStrictEqual(feed.getChangelogExcerpt(body), {
+        markdown: '* Add Qwen3 support by @a in https://github.com/mlc-ai/mlc-llm/pull/1\n* Fix KV cache leak by @b',
+        truncated: false
+    });
+});
+
+test('cuts long notes to maxLines', () => {
+    const excerpt = feed.getChangelogExcerpt('one\ntwo\nthree\nfour\nfive', 4);
+    assert.strictEqual(excerpt.markdown, 'one\ntwo\nthree\nfour');
+    assert.ok(excerpt.truncated);
+});
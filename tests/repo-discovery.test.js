@@ -0,0 +1,105 @@
+/**
+ * Repository discovery: the manifest's include/exclude patterns and
+ * fork/archived defaults, and the repository directory's sort orders
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.HtmlTemplate = require('../js/template.js');
+global.GitHubStatsLoader = require('../js/github-stats.js');
+const RepoDirectory = require('../js/repo-directory.js');
+
+const loader = new GitHubStatsLoader({ manifest: {} });
+
+test('matches owner patterns against the full name and bare patterns against the repo name', () => {
+    assert.ok(loader.matchesPattern('mlc-ai/web-llm', 'mlc-ai/web-*'));
+    assert.ok(loader.matchesPattern('mlc-ai/web-stable-diffusion', 'mlc-ai/web-*'));
+    assert.ok(!loader.matchesPattern('flexflow/web-llm', 'mlc-ai/web-*'));
+    assert.ok(!loader.matchesPattern('mlc-ai/mlc-llm', 'mlc-ai/web-*'));
+
+    assert.ok(loader.matchesPattern('mlc-ai/web-llm', 'web-*'));
+    assert.ok(loader.matchesPattern('flexflow/web-llm', 'web-*'));
+    assert.ok(!loader.matchesPattern('mlc-ai/web-llm', 'mlc-ai'));
+    assert.ok(!loader.matchesPattern('mlc-ai/web-llm', 'web'));
+});
+
+test('matches patterns case-insensitively and treats other characters literally', () => {
+    assert.ok(loader.matchesPattern('mlc-ai/MLC-LLM', 'mlc-llm'));
+    assert.ok(loader.matchesPattern('mlc-ai/mlc-ai.github.io', '*.github.io'));
+    assert.ok(!loader.matchesPattern('mlc-ai/mlc-aiXgithubXio', '*.github.io'));
+    assert.ok(loader.matchesPattern('mlc-ai/.github', '.github'));
+    // "*" never crosses the owner/name slash
+    assert.ok(!loader.matchesPattern('mlc-ai/web-llm', 'mlc*llm'));
+    assert.ok(loader.matchesPattern('mlc-ai/web-llm', '*/web-llm'));
+});
+
+function repo(fullName, fields = {}) {
+    return { full_name: fullName, private: false, fork: false, archived: false, ...fields };
+}
+
+test('leaves out private repos, and forks and archived repos by default', () => {
+    assert.ok(loader.matchesRules(repo('mlc-ai/mlc-llm')));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/secret', { private: true }), { includeForks: true, includeArchived: true }));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/tvm', { fork: true })));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/old', { archived: true })));
+
+    assert.ok(loader.matchesRules(repo('mlc-ai/tvm', { fork: true }), { includeForks: true }));
+    assert.ok(loader.matchesRules(repo('mlc-ai/old', { archived: true }), { includeArchived: true }));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/old', { fork: true, archived: true }), { includeForks: true }));
+});
+
+test('keeps repos that match an include pattern and no exclude pattern', () => {
+    const rules = { include: ['mlc-ai/web-*', 'xgrammar'], exclude: ['*-demo'] };
+
+    assert.ok(loader.matchesRules(repo('mlc-ai/web-llm'), rules));
+    assert.ok(loader.matchesRules(repo('mlc-ai/xgrammar'), rules));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/mlc-llm'), rules));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/web-llm-demo'), rules));
+
+    // Without include patterns every repo is in, minus the excluded ones
+    const manifestRules = { include: [], exclude: ['*.github.io', '.github'] };
+    assert.ok(loader.matchesRules(repo('mlc-ai/mlc-llm'), manifestRules));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/mlc-ai.github.io'), manifestRules));
+    assert.ok(!loader.matchesRules(repo('mlc-ai/.github'), manifestRules));
+});
+
+const REPOS = [
+    { name: 'mlc-ai/web-llm', stars: 500, language: 'TypeScript', pushedAt: '2026-01-10T00:00:00Z' },
+    { name: 'mlc-ai/mlc-llm', stars: 900, language: 'Python', pushedAt: '2025-12-01T00:00:00Z' },
+    { name: 'mlc-ai/notes', stars: 500, language: null, pushedAt: '2026-03-01T00:00:00Z' },
+    { name: 'mlc-ai/xgrammar', stars: 300, language: 'C++', pushedAt: null },
+    { name: 'mlc-ai/relax', stars: 300, language: 'Python', pushedAt: '2026-03-01T00:00:00Z' }
+];
+
+function sortedNames(sort) {
+    const directory = new RepoDirectory({ manifest: {} });
+    directory.sort = sort;
+    return directory.sortRepos(REPOS).map(repo => repo.name);
+}
+
+test('sorts the directory by stars, ties by name', () => {
+    assert.deepStrictEqual(sortedNames('stars'), [
+        'mlc-ai/mlc-llm', 'mlc-ai/notes', 'mlc-ai/web-llm', 'mlc-ai/relax', 'mlc-ai/xgrammar'
+    ]);
+    // Unknown orders fall back to stars
+    assert.deepStrictEqual(sortedNames('unknown'), sortedNames('stars'));
+});
+
+test('sorts the directory by last push, ties by stars', () => {
+    assert.deepStrictEqual(sortedNames('activity'), [
+        'mlc-ai/notes', 'mlc-ai/relax', 'mlc-ai/web-llm', 'mlc-ai/mlc-llm', 'mlc-ai/xgrammar'
+    ]);
+});
+
+test('sorts the directory by language with unknown languages last', () => {
+    assert.deepStrictEqual(sortedNames('language'), [
+        'mlc-ai/xgrammar', 'mlc-ai/mlc-llm', 'mlc-ai/relax', 'mlc-ai/web-llm', 'mlc-ai/notes'
+    ]);
+});
+
+test('sorts without changing the directory', () => {
+    const before = REPOS.map(repo => repo.name);
+    sortedNames('language');
+    assert.deepStrictEqual(REPOS.map(repo => repo.name), before);
+});
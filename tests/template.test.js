@@ -0,0 +1,46 @@
+/**
+ * HtmlTemplate: interpolated values are escaped and URL attributes checked
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const HtmlTemplate = require('../js/template.js');
+
+test('escapes interpolated markup', () => {
+    const payload = '<script>alert(1)</script>';
+    assert.strictEqual(
+        String(HtmlTemplate.html`<p>${payload}</p>`),
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>'
+    );
+});
+
+test('escapes quotes so values cannot add attributes', () => {
+    const payload = 'x" onerror="alert(1)';
+    assert.strictEqual(
+        String(HtmlTemplate.html`<img alt="${payload}">`),
+        '<img alt="x&quot; onerror=&quot;alert(1)">'
+    );
+});
+
+test('escapes nested tags', () => {
+    const payload = '<<x>img src=x onerror=alert(1)>';
+    assert.doesNotMatch(String(HtmlTemplate.html`<div>${payload}</div>`), /<img/);
+});
+
+test('replaces unsafe URLs in URL attributes', () => {
+    ['javascript:alert(1)', 'JaVaScRiPt:alert(1)', 'java\tscript:alert(1)', ' javascript:alert(1)', 'data:text/html,<script>'].forEach(url => {
+        assert.strictEqual(String(HtmlTemplate.html`<a href="${url}">x</a>`), '<a href="#">x</a>', url);
+    });
+});
+
+test('keeps http(s) and relative URLs', () => {
+    ['https://mlc.ai/', 'http://example.com/a?b=1', 'blog.html#post', '/img/logo.png'].forEach(url => {
+        assert.ok(HtmlTemplate.isSafeUrl(url), url);
+    });
+});
+
+test('interpolates nested templates and arrays without escaping them twice', () => {
+    const items = ['a&b', '<c>'].map(item => HtmlTemplate.html`<li>${item}</li>`);
+    assert.strictEqual(String(HtmlTemplate.html`<ul>${items}</ul>`), '<ul><li>a&amp;b</li><li>&lt;c&gt;</li></ul>');
+});